@@ -1,13 +1,13 @@
 /**
  * MODULE PATTERN
  * Real-World Example: Shopping Cart (like Amazon)
- * 
+ *
  * WHEN TO USE:
  * - Need to create private variables/methods
  * - Want to avoid global namespace pollution
  * - Building libraries or utilities
  * - Creating encapsulated functionality
- * 
+ *
  * WHY TO USE:
  * - Encapsulation: Keeps internal state private
  * - Namespace management: Prevents variable conflicts
@@ -15,61 +15,305 @@
  * - Memory efficiency: Single instance with shared methods
  */
 
-// Like Amazon's shopping cart - private data, public methods
-const ShoppingCart = (() => {
-  let items = [];
-  let total = 0;
-  
-  return {
-    addItem: (product, price) => {
-      items.push({ product, price });
-      total += price;
-      console.log(`Added ${product} ($${price}) to cart`);
+// Money is kept in integer cents: 0.1 + 0.2 !== 0.3, but 10 + 20 === 30
+const toCents = (amount) => Math.round(amount * 100);
+
+const formatCents = (cents, currency = 'USD') =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(cents / 100);
+
+// code: 'UNKNOWN_SKU' | 'INVALID_QUANTITY' | 'INVALID_PRICE' | 'OUT_OF_STOCK' | 'INVALID_SNAPSHOT'
+class CartError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'CartError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const assertQuantity = (quantity) => {
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new CartError(`Quantity must be a non-negative integer, got ${quantity}`, 'INVALID_QUANTITY', { quantity });
+  }
+};
+
+// Products by SKU: { sku, name, priceCents, stock }
+const createCatalog = (products = []) => {
+  const bySku = new Map();
+
+  const catalog = {
+    add: ({ sku, name, priceCents, stock = Infinity }) => {
+      if (!sku) throw new CartError('Product needs a SKU', 'UNKNOWN_SKU');
+      if (!Number.isInteger(priceCents) || priceCents < 0) {
+        throw new CartError(`Price of ${sku} must be integer cents`, 'INVALID_PRICE', { sku, priceCents });
+      }
+      bySku.set(sku, { sku, name: name || sku, priceCents, stock });
+      return catalog;
+    },
+
+    get: (sku) => {
+      const product = bySku.get(sku);
+      return product ? { ...product } : undefined;
     },
-    
-    removeItem: (product) => {
-      const index = items.findIndex(item => item.product === product);
-      if (index > -1) {
-        total -= items[index].price;
-        const removed = items.splice(index, 1)[0];
-        console.log(`Removed ${removed.product} from cart`);
+
+    // Carts only check stock, they don't reserve it: lower it when an order is placed
+    setStock: (sku, stock) => {
+      const product = bySku.get(sku);
+      if (!product) throw new CartError(`Unknown SKU ${sku}`, 'UNKNOWN_SKU', { sku });
+      assertQuantity(stock);
+      product.stock = stock;
+    },
+
+    list: () => [...bySku.values()].map((product) => ({ ...product }))
+  };
+
+  products.forEach(catalog.add);
+  return catalog;
+};
+
+// One cart per session/user: every call gets its own private lines
+const createCart = ({ catalog, id = null, currency = 'USD' } = {}) => {
+  if (!catalog) throw new Error('createCart needs a catalog to look products up');
+
+  const lines = new Map(); // sku -> { sku, name, unitPriceCents, quantity }
+  let updatedAt = new Date().toISOString();
+
+  const touch = () => {
+    updatedAt = new Date().toISOString();
+  };
+
+  const productFor = (sku) => {
+    const product = catalog.get(sku);
+    if (!product) throw new CartError(`Unknown SKU ${sku}`, 'UNKNOWN_SKU', { sku });
+    return product;
+  };
+
+  // Checked on every change; stock isn't reserved until checkout
+  const assertInStock = (product, quantity) => {
+    if (quantity > product.stock) {
+      throw new CartError(`Only ${product.stock} of ${product.name} in stock`, 'OUT_OF_STOCK', {
+        sku: product.sku,
+        requested: quantity,
+        available: product.stock
+      });
+    }
+  };
+
+  const lineTotal = (line) => line.unitPriceCents * line.quantity;
+
+  const cart = {
+    id,
+    currency,
+
+    // Adding a SKU that's already in the cart raises its quantity instead of adding a row
+    addItem: (sku, quantity = 1) => {
+      assertQuantity(quantity);
+      if (quantity === 0) throw new CartError('Quantity must be at least 1', 'INVALID_QUANTITY', { quantity });
+
+      const product = productFor(sku);
+      const existing = lines.get(sku);
+      const newQuantity = (existing ? existing.quantity : 0) + quantity;
+      assertInStock(product, newQuantity);
+
+      // The price is locked when the SKU first enters the cart
+      lines.set(sku, {
+        sku,
+        name: product.name,
+        unitPriceCents: existing ? existing.unitPriceCents : product.priceCents,
+        quantity: newQuantity
+      });
+      touch();
+      return cart;
+    },
+
+    // 0 removes the line
+    setQuantity: (sku, quantity) => {
+      assertQuantity(quantity);
+      if (quantity === 0) return cart.removeItem(sku);
+
+      const product = productFor(sku);
+      assertInStock(product, quantity);
+      const existing = lines.get(sku);
+      lines.set(sku, {
+        sku,
+        name: product.name,
+        unitPriceCents: existing ? existing.unitPriceCents : product.priceCents,
+        quantity
+      });
+      touch();
+      return cart;
+    },
+
+    // Removes `quantity` units, or the whole line when omitted
+    removeItem: (sku, quantity) => {
+      const line = lines.get(sku);
+      if (!line) return cart;
+
+      if (quantity === undefined || quantity >= line.quantity) {
+        lines.delete(sku);
+      } else {
+        assertQuantity(quantity);
+        lines.set(sku, { ...line, quantity: line.quantity - quantity });
       }
+      touch();
+      return cart;
     },
-    
-    getTotal: () => total,
-    
-    getItemCount: () => items.length,
-    
-    getItems: () => [...items], // Return copy to prevent direct modification
-    
+
+    getItems: () => [...lines.values()].map((line) => ({ ...line, lineTotalCents: lineTotal(line) })),
+
+    getQuantity: (sku) => (lines.has(sku) ? lines.get(sku).quantity : 0),
+
+    // Units, not rows: 2 iPhones + 1 case = 3
+    getItemCount: () => [...lines.values()].reduce((count, line) => count + line.quantity, 0),
+
+    getTotalCents: () => [...lines.values()].reduce((total, line) => total + lineTotal(line), 0),
+
+    getTotal: () => formatCents(cart.getTotalCents(), currency),
+
+    isEmpty: () => lines.size === 0,
+
     clearCart: () => {
-      items = [];
-      total = 0;
-      console.log('Cart cleared');
+      lines.clear();
+      touch();
+      return cart;
+    },
+
+    // Plain JSON, for a session store or localStorage; see restoreCart()
+    serialize: () => ({
+      version: 1,
+      id,
+      currency,
+      updatedAt,
+      items: [...lines.values()].map(({ sku, quantity, unitPriceCents }) => ({ sku, quantity, unitPriceCents }))
+    }),
+
+    toJSON: () => cart.serialize()
+  };
+
+  return cart;
+};
+
+/**
+ * Rebuilds a cart from serialize() output against the current catalog.
+ * Catalogs change while carts sit in storage, so instead of failing the
+ * cart is repaired and every change is reported in `adjustments`:
+ *
+ *   UNKNOWN_SKU    product no longer sold, line dropped
+ *   OUT_OF_STOCK   quantity lowered to the stock left (dropped at 0)
+ *   PRICE_CHANGED  line repriced to the current catalog price
+ */
+const restoreCart = (snapshot, { catalog }) => {
+  if (!snapshot || snapshot.version !== 1 || !Array.isArray(snapshot.items)) {
+    throw new CartError('Not a cart snapshot (version 1)', 'INVALID_SNAPSHOT');
+  }
+
+  const cart = createCart({ catalog, id: snapshot.id, currency: snapshot.currency });
+  const adjustments = [];
+
+  for (const { sku, quantity, unitPriceCents } of snapshot.items) {
+    assertQuantity(quantity);
+    const product = catalog.get(sku);
+    if (!product) {
+      adjustments.push({ sku, reason: 'UNKNOWN_SKU' });
+      continue;
+    }
+
+    const available = Math.min(quantity, product.stock);
+    if (available < quantity) adjustments.push({ sku, reason: 'OUT_OF_STOCK', requested: quantity, available });
+    if (available === 0) continue;
+
+    if (product.priceCents !== unitPriceCents) {
+      adjustments.push({ sku, reason: 'PRICE_CHANGED', fromCents: unitPriceCents, toCents: product.priceCents });
+    }
+    cart.addItem(sku, available);
+  }
+
+  return { cart, adjustments };
+};
+
+// Carts by session/user id, created on first access
+const createCartStore = ({ catalog, currency = 'USD' } = {}) => {
+  const carts = new Map();
+
+  return {
+    getCart: (sessionId) => {
+      if (!carts.has(sessionId)) carts.set(sessionId, createCart({ catalog, id: sessionId, currency }));
+      return carts.get(sessionId);
+    },
+
+    hasCart: (sessionId) => carts.has(sessionId),
+
+    deleteCart: (sessionId) => carts.delete(sessionId),
+
+    get size() {
+      return carts.size;
     }
   };
-})();
+};
+
+function runDemo() {
+  // Usage Examples
+  console.log('=== MODULE PATTERN DEMO ===');
+
+  const catalog = createCatalog([
+    { sku: 'IPHONE-15', name: 'iPhone', priceCents: toCents(999), stock: 5 },
+    { sku: 'CASE-01', name: 'Case', priceCents: toCents(29.99), stock: 100 },
+    { sku: 'CHARGER-20W', name: 'Charger', priceCents: toCents(39), stock: 2 }
+  ]);
+  const store = createCartStore({ catalog });
+
+  // Each session gets its own cart
+  const alice = store.getCart('session-alice');
+  const bob = store.getCart('session-bob');
+
+  alice.addItem('IPHONE-15');
+  alice.addItem('IPHONE-15'); // same row, quantity 2
+  alice.addItem('CASE-01', 2);
+  alice.addItem('CHARGER-20W');
+  bob.addItem('CASE-01');
+
+  console.log('Alice total:', alice.getTotal()); // $2,096.98
+  console.log('Alice units:', alice.getItemCount()); // 5 (3 rows)
+  console.log('Bob total:', bob.getTotal()); // $29.99 - separate cart
+
+  alice.removeItem('IPHONE-15', 1); // one of the two iPhones
+  console.log('Alice total after removing one iPhone:', alice.getTotal()); // $1,097.98
 
-// Usage Examples
-console.log('=== MODULE PATTERN DEMO ===');
+  // Stock is checked on every change
+  try {
+    alice.setQuantity('CHARGER-20W', 3);
+  } catch (error) {
+    console.log(`${error.code}: ${error.message}`); // OUT_OF_STOCK: Only 2 of Charger in stock
+  }
 
-// Cart data is private, can't be directly accessed
-ShoppingCart.addItem('iPhone', 999);
-ShoppingCart.addItem('Case', 29);
-ShoppingCart.addItem('Charger', 39);
+  // Cart data is private, can't be directly accessed
+  console.log('Direct access to lines:', alice.lines); // undefined
 
-console.log('Total:', ShoppingCart.getTotal()); // 1067
-console.log('Items:', ShoppingCart.getItemCount()); // 3
+  // Save the cart, then restore it after the catalog changed
+  const saved = JSON.stringify(alice);
+  catalog.setStock('CHARGER-20W', 0);
+  catalog.add({ sku: 'CASE-01', name: 'Case', priceCents: toCents(24.99), stock: 100 });
 
-ShoppingCart.removeItem('Case');
-console.log('Total after removal:', ShoppingCart.getTotal()); // 1038
+  const { cart: restored, adjustments } = restoreCart(JSON.parse(saved), { catalog });
+  console.log('Restored items:', restored.getItems());
+  console.log('Adjustments:', adjustments); // charger dropped, case repriced
+  console.log('Restored total:', restored.getTotal()); // $1,048.98
 
-// Try to access private variables (won't work)
-console.log('Direct access to items:', ShoppingCart.items); // undefined
-console.log('Direct access to total:', ShoppingCart.total); // undefined
+  alice.clearCart();
+  console.log('Final total:', alice.getTotal()); // $0.00
+}
 
-// Get items safely
-console.log('Cart items:', ShoppingCart.getItems());
+module.exports = {
+  createCatalog,
+  createCart,
+  restoreCart,
+  createCartStore,
+  CartError,
+  toCents,
+  formatCents,
+  runDemo
+};
 
-ShoppingCart.clearCart();
-console.log('Final total:', ShoppingCart.getTotal()); // 0
\ No newline at end of file
+if (require.main === module) {
+  runDemo();
+}
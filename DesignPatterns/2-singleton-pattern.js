@@ -16,122 +16,281 @@
  * - State consistency: Maintains single source of truth
  */
 
+const {
+  LEVELS,
+  assertLevel,
+  levelEnabled,
+  ConsoleTransport,
+  RingBufferTransport
+} = require('../lib/logTransports');
+const { compileLogFilter, queryLogs, LogTail } = require('../lib/logQuery');
+
 // Like Winston logger - only one instance across entire app
 class Logger {
   constructor() {
     if (Logger.instance) return Logger.instance;
     
-    this.logs = [];
-    this.level = 'info';
-    this.maxLogs = 100;
+    this.level = assertLevel(process.env.LOG_LEVEL || 'info'); // entries below this level are dropped
+    this.format = process.env.LOG_FORMAT || 'text'; // 'text' or 'json' (one JSON object per line)
+    this.context = null; // () => fields added to every entry, e.g. the active trace ids
+    this.buffer = new RingBufferTransport({ size: 100 }); // what getLogs() returns
+    this.transports = [new ConsoleTransport(), this.buffer]; // see lib/logTransports.js
+    this.listeners = new Set(); // called with every entry, see tail()
+    this.tails = new Set(); // open tails, ended by close()
     Logger.instance = this;
   }
   
-  log(message, level = 'info') {
-    const timestamp = new Date().toISOString();
-    const logEntry = { timestamp, message, level };
+  // Drops the instance (closing its transports) so the next `new Logger()` starts fresh; for tests
+  static reset() {
+    if (Logger.instance) Logger.instance.close();
+    Logger.instance = null;
+  }
+  
+  // Same instance, different settings: new Logger().configure({ format: 'json' })
+  // `transports` replaces the list; getLogs() reads the first RingBufferTransport in it
+  configure({ level, maxLogs, format, context, transports } = {}) {
+    if (level) this.level = assertLevel(level);
+    if (format) this.format = format;
+    if (context !== undefined) this.context = context;
+    if (transports) {
+      this.transports = [...transports];
+      this.buffer = this.transports.find((transport) => transport instanceof RingBufferTransport) || null;
+    }
+    if (maxLogs && this.buffer) this.buffer.resize(maxLogs);
+    return this;
+  }
+  
+  get maxLogs() {
+    return this.buffer ? this.buffer.capacity : 0;
+  }
+  
+  addTransport(transport) {
+    this.transports.push(transport);
+    if (!this.buffer && transport instanceof RingBufferTransport) this.buffer = transport;
+    return this;
+  }
+  
+  removeTransport(transport) {
+    this.transports = this.transports.filter((t) => t !== transport);
+    if (this.buffer === transport) this.buffer = null;
+    if (transport.close) transport.close();
+    return this;
+  }
+  
+  isLevelEnabled(level) {
+    return levelEnabled(this.level, level);
+  }
+  
+  // `fields` adds structured data (requestId, status, ...) to the entry
+  log(message, level = 'info', fields = {}) {
+    if (!(level in LEVELS)) level = 'info'; // logged rather than lost
+    if (!this.isLevelEnabled(level)) return;
     
-    this.logs.push(logEntry);
+    const timestamp = new Date().toISOString();
+    const logEntry = { timestamp, level, message, ...(this.context ? this.context() : {}), ...fields };
     
-    // Keep only recent logs
-    if (this.logs.length > this.maxLogs) {
-      this.logs.shift();
+    for (const transport of this.transports) {
+      if (transport.level && !levelEnabled(transport.level, level)) continue;
+      try {
+        transport.write(logEntry, this);
+      } catch (error) {
+        // A broken transport (full disk, closed stream) mustn't take the others down
+        console.error(`Log transport ${transport.constructor.name} failed: ${error.message}`);
+      }
     }
     
-    console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`);
+    for (const listener of this.listeners) {
+      try {
+        listener(logEntry);
+      } catch (error) {
+        // Same for a tail whose consumer is gone: the caller's log() call must not throw
+        console.error(`Log listener failed: ${error.message}`);
+      }
+    }
   }
   
-  error(message) { 
-    this.log(message, 'error'); 
+  error(message, fields) { 
+    this.log(message, 'error', fields); 
   }
   
-  warn(message) { 
-    this.log(message, 'warn'); 
+  warn(message, fields) { 
+    this.log(message, 'warn', fields); 
   }
   
-  info(message) { 
-    this.log(message, 'info'); 
+  info(message, fields) { 
+    this.log(message, 'info', fields); 
   }
   
-  debug(message) { 
-    this.log(message, 'debug'); 
+  debug(message, fields) { 
+    this.log(message, 'debug', fields); 
+  }
+  
+  // Logger that adds `bindings` to every entry: logger.child({ module: 'orders' }).info('...')
+  child(bindings) {
+    return new ChildLogger(this, bindings);
   }
   
   getLogs() {
-    return [...this.logs]; // Return copy
+    return this.buffer ? this.buffer.entries() : []; // Return copy
   }
   
   getLogCount() {
-    return this.logs.length;
+    return this.buffer ? this.buffer.size : 0;
+  }
+  
+  // Buffered entries matching `query`: level, since/until, text, regex, fields, limit, order (see lib/logQuery.js)
+  query(query = {}) {
+    return queryLogs(this.getLogs(), query);
+  }
+  
+  // Async iterator over entries logged from now on that match `query`:
+  // for await (const entry of logger.tail({ level: 'error' })) { ... }
+  tail(query = {}, options = {}) {
+    const filter = compileLogFilter(query);
+    const subscribe = (listener) => {
+      this.listeners.add(listener);
+      return () => {
+        this.listeners.delete(listener);
+        this.tails.delete(tail);
+      };
+    };
+    const tail = new LogTail(subscribe, filter, options);
+    this.tails.add(tail);
+    return tail;
+  }
+  
+  // Everything, or only the entries matching `query`; returns how many were removed
+  clearLogs(query) {
+    if (!this.buffer) return 0;
+    if (query) return this.buffer.remove(compileLogFilter(query));
+    
+    const removed = this.buffer.size;
+    this.buffer.clear();
+    return removed;
+  }
+  
+  close() {
+    this.tails.forEach((tail) => tail.return());
+    for (const transport of this.transports) {
+      if (transport.close) transport.close();
+    }
+  }
+}
+
+// Shares the singleton's level and transports; only the bound fields are its own
+class ChildLogger {
+  constructor(parent, bindings = {}) {
+    this.parent = parent;
+    this.bindings = bindings;
+  }
+  
+  isLevelEnabled(level) {
+    return this.parent.isLevelEnabled(level);
   }
   
-  clearLogs() {
-    this.logs = [];
-    console.log('Logs cleared');
+  // Fields passed to a call win over the bound ones
+  log(message, level, fields = {}) {
+    this.parent.log(message, level, { ...this.bindings, ...fields });
+  }
+  
+  error(message, fields) { 
+    this.log(message, 'error', fields); 
+  }
+  
+  warn(message, fields) { 
+    this.log(message, 'warn', fields); 
+  }
+  
+  info(message, fields) { 
+    this.log(message, 'info', fields); 
+  }
+  
+  debug(message, fields) { 
+    this.log(message, 'debug', fields); 
+  }
+  
+  child(bindings) {
+    return new ChildLogger(this.parent, { ...this.bindings, ...bindings });
   }
 }
 
-// Usage Examples
-console.log('=== SINGLETON PATTERN DEMO ===');
+function runDemo() {
+  // Usage Examples
+  console.log('=== SINGLETON PATTERN DEMO ===');
 
-// Same logger instance everywhere
-const logger1 = new Logger();
-const logger2 = new Logger();
-const logger3 = new Logger();
+  // Same logger instance everywhere
+  const logger1 = new Logger();
+  const logger2 = new Logger();
+  const logger3 = new Logger();
 
-console.log('Are all instances the same?', logger1 === logger2 === logger3); // true
+  console.log('Are all instances the same?', logger1 === logger2 === logger3); // true
 
-// All loggers share the same log array
-logger1.info('User logged in');
-logger2.error('Database connection failed');
-logger3.warn('Low memory warning');
-logger1.debug('Processing user data');
+  // All loggers share the same log array
+  logger1.info('User logged in');
+  logger2.error('Database connection failed');
+  logger3.warn('Low memory warning');
+  logger1.debug('Processing user data'); // dropped: the level is 'info' (LOG_LEVEL)
 
-console.log('Total logs from logger1:', logger1.getLogCount()); // 4
-console.log('Total logs from logger2:', logger2.getLogCount()); // 4 (same instance)
+  console.log('Total logs from logger1:', logger1.getLogCount()); // 3
+  console.log('Total logs from logger2:', logger2.getLogCount()); // 3 (same instance)
 
-// Demonstrate shared state
-console.log('Logs from logger3:', logger3.getLogs().length); // 4 (same logs)
+  // Demonstrate shared state
+  console.log('Logs from logger3:', logger3.getLogs().length); // 3 (same logs)
 
-// Clear logs from any instance affects all
-logger2.clearLogs();
-console.log('Logs after clearing from logger2:', logger1.getLogCount()); // 0
+  // Child loggers write through the same instance with extra fields
+  const orderLogger = logger1.child({ module: 'orders' });
+  orderLogger.info('Order placed', { orderId: 42 }); // {"module":"orders","orderId":42}
 
-// Real-world usage in different modules
-class UserService {
-  constructor() {
-    this.logger = new Logger(); // Gets same instance
-  }
-  
-  createUser(username) {
-    this.logger.info(`Creating user: ${username}`);
-    // User creation logic...
-    this.logger.info(`User ${username} created successfully`);
-  }
-}
+  // Clear logs from any instance affects all
+  logger2.clearLogs();
+  console.log('Logs after clearing from logger2:', logger1.getLogCount()); // 0
 
-class DatabaseService {
-  constructor() {
-    this.logger = new Logger(); // Gets same instance
-  }
-  
-  connect() {
-    this.logger.info('Connecting to database...');
-    // Connection logic...
-    this.logger.info('Database connected');
+  // Real-world usage in different modules
+  class UserService {
+    constructor() {
+      this.logger = new Logger(); // Gets same instance
+    }
+
+    createUser(username) {
+      this.logger.info(`Creating user: ${username}`);
+      // User creation logic...
+      this.logger.info(`User ${username} created successfully`);
+    }
   }
-  
-  disconnect() {
-    this.logger.warn('Disconnecting from database');
+
+  class DatabaseService {
+    constructor() {
+      this.logger = new Logger(); // Gets same instance
+    }
+
+    connect() {
+      this.logger.info('Connecting to database...');
+      // Connection logic...
+      this.logger.info('Database connected');
+    }
+
+    disconnect() {
+      this.logger.warn('Disconnecting from database');
+    }
   }
-}
 
-// Usage across different services
-const userService = new UserService();
-const dbService = new DatabaseService();
+  // Usage across different services
+  const userService = new UserService();
+  const dbService = new DatabaseService();
+
+  dbService.connect();
+  userService.createUser('john_doe');
+  dbService.disconnect();
 
-dbService.connect();
-userService.createUser('john_doe');
-dbService.disconnect();
+  console.log('Final log count:', logger1.getLogCount()); // All logs from different services
 
-console.log('Final log count:', logger1.getLogCount()); // All logs from different services
\ No newline at end of file
+  // Tests can start from a fresh instance
+  Logger.reset();
+  console.log('Fresh instance after reset?', new Logger() !== logger1); // true
+}
+
+module.exports = { Logger, ChildLogger, runDemo };
+
+if (require.main === module) {
+  runDemo();
+}
@@ -16,6 +16,8 @@
  * - Separation of concerns: Each middleware has single responsibility
  */
 
+const { rateLimitWebServer } = require('../middleware/rateLimit.middleware');
+
 // Like airport security - passenger goes through multiple checkpoints
 class AirportSecurity {
   constructor() {
@@ -98,24 +100,21 @@ const customsCheck = async (passenger, next) => {
   await next();
 };
 
-// Usage Examples
-console.log('=== MIDDLEWARE PATTERN DEMO ===');
-
-// Like Express.js middleware
-const airport = new AirportSecurity();
-airport.addCheckpoint(ticketCheck);
-airport.addCheckpoint(idVerification);
-airport.addCheckpoint(securityScan);
-airport.addCheckpoint(customsCheck);
-
-// Process different passengers
-const passengers = [
-  { name: 'John', hasTicket: true, hasRestrictedItems: false },
-  { name: 'Sarah', hasTicket: true, hasRestrictedItems: true },
-  { name: 'Mike', hasTicket: false, hasRestrictedItems: false }
-];
-
 async function processAllPassengers() {
+  // Like Express.js middleware
+  const airport = new AirportSecurity();
+  airport.addCheckpoint(ticketCheck);
+  airport.addCheckpoint(idVerification);
+  airport.addCheckpoint(securityScan);
+  airport.addCheckpoint(customsCheck);
+  
+  // Process different passengers
+  const passengers = [
+    { name: 'John', hasTicket: true, hasRestrictedItems: false },
+    { name: 'Sarah', hasTicket: true, hasRestrictedItems: true },
+    { name: 'Mike', hasTicket: false, hasRestrictedItems: false }
+  ];
+  
   for (const passenger of passengers) {
     console.log(`\n--- Processing ${passenger.name} ---`);
     await airport.processPassenger(passenger);
@@ -171,18 +170,21 @@ const loggingMiddleware = async (req, next) => {
   await next();
 };
 
+// Real limiter (same one the Express apps use): token bucket of 3 requests
+// per minute per client, keyed by API key, user or IP
+const rateLimiter = rateLimitWebServer({ algorithm: 'token-bucket', limit: 3, windowMs: 60 * 1000 });
+
 const rateLimitMiddleware = async (req, next) => {
   console.log('⏱️  Rate limiting middleware');
   
-  // Simulate rate limit check
-  if (Math.random() > 0.2) { // 80% pass rate
-    console.log('✅ Rate limit OK');
-    await next();
-  } else {
-    console.log('❌ Rate limit exceeded');
-    req.rateLimited = true;
-    // Still call next() but mark as rate limited
+  await rateLimiter(req, async () => {
+    console.log(`✅ Rate limit OK (${req.rateLimit.remaining} left)`);
     await next();
+  });
+  
+  if (req.rateLimited) {
+    // Stop the chain: the remaining middleware never runs
+    console.log(`❌ Rate limit exceeded - retry after ${req.response.headers['Retry-After']}s`);
   }
 };
 
@@ -251,7 +253,9 @@ const enrichData = async (data, next) => {
 };
 
 // Run examples
-async function runExamples() {
+async function runDemo() {
+  console.log('=== MIDDLEWARE PATTERN DEMO ===');
+  
   // Airport security example
   await processAllPassengers();
   
@@ -273,6 +277,13 @@ async function runExamples() {
   const processedRequest = await server.handleRequest(request);
   console.log('Final request object:', processedRequest);
   
+  // Same user again: the 4th request within a minute is rejected
+  for (let i = 2; i <= 4; i++) {
+    console.log(`\n--- Request #${i} from the same user ---`);
+    const repeated = await server.handleRequest({ ...request, headers: { ...request.headers } });
+    console.log('Rate limited?', Boolean(repeated.rateLimited));
+  }
+  
   // Data pipeline example
   console.log('\n=== DATA PROCESSING PIPELINE ===');
   const pipeline = new DataPipeline();
@@ -285,4 +296,17 @@ async function runExamples() {
   console.log('Final processed data:', processedData);
 }
 
-runExamples();
\ No newline at end of file
+module.exports = {
+  AirportSecurity,
+  WebServer,
+  DataPipeline,
+  authMiddleware,
+  loggingMiddleware,
+  rateLimitMiddleware,
+  validationMiddleware,
+  runDemo
+};
+
+if (require.main === module) {
+  runDemo();
+}
\ No newline at end of file
@@ -35,7 +35,12 @@ async function runPattern(patternIndex) {
   try {
     // Import and run the pattern file
     delete require.cache[require.resolve(`./${pattern.file}`)];
-    require(`./${pattern.file}`);
+    const patternModule = require(`./${pattern.file}`);
+
+    // Files that export reusable classes only run their demo on request
+    if (typeof patternModule.runDemo === 'function') {
+      patternModule.runDemo();
+    }
   } catch (error) {
     console.error(`❌ Error running ${pattern.name}:`, error.message);
   }
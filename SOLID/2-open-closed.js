@@ -14,10 +14,7 @@
  * - Better architecture: Promotes good design patterns
  */
 
-console.log('=== OPEN/CLOSED PRINCIPLE ===\n');
-
 // ❌ BAD EXAMPLE - Violates OCP
-console.log('❌ BAD EXAMPLE (Violates OCP):');
 
 class BadAreaCalculator {
   calculateArea(shapes) {
@@ -50,20 +47,24 @@ class BadAreaCalculator {
   }
 }
 
-// Usage of bad example
-const badCalculator = new BadAreaCalculator();
-const badShapes = [
-  { type: 'rectangle', width: 5, height: 4 },
-  { type: 'circle', radius: 3 },
-  { type: 'triangle', base: 6, height: 4 }
-];
+function runBadExample() {
+  console.log('=== OPEN/CLOSED PRINCIPLE ===\n');
+  console.log('❌ BAD EXAMPLE (Violates OCP):');
+
+  // Usage of bad example
+  const badCalculator = new BadAreaCalculator();
+  const badShapes = [
+    { type: 'rectangle', width: 5, height: 4 },
+    { type: 'circle', radius: 3 },
+    { type: 'triangle', base: 6, height: 4 }
+  ];
 
-console.log('Total area (bad way):', badCalculator.calculateArea(badShapes));
+  console.log('Total area (bad way):', badCalculator.calculateArea(badShapes));
 
-console.log('\n' + '='.repeat(50) + '\n');
+  console.log('\n' + '='.repeat(50) + '\n');
+}
 
 // ✅ GOOD EXAMPLE - Follows OCP
-console.log('✅ GOOD EXAMPLE (Follows OCP):');
 
 // Base shape interface
 class Shape {
@@ -165,18 +166,20 @@ class AreaCalculator {
   }
 }
 
-// Usage of good example
-const calculator = new AreaCalculator();
-const shapes = [
-  new Rectangle(5, 4),
-  new Circle(3),
-  new Triangle(6, 4),
-  new Hexagon(2)
-];
+function runGoodExample() {
+  console.log('✅ GOOD EXAMPLE (Follows OCP):');
 
-console.log('Total area (good way):', calculator.calculateArea(shapes).toFixed(2));
+  // Usage of good example
+  const calculator = new AreaCalculator();
+  const shapes = [
+    new Rectangle(5, 4),
+    new Circle(3),
+    new Triangle(6, 4),
+    new Hexagon(2)
+  ];
 
-console.log('\n=== REAL-WORLD EXAMPLE: DISCOUNT SYSTEM ===');
+  console.log('Total area (good way):', calculator.calculateArea(shapes).toFixed(2));
+}
 
 // Real-world example: E-commerce discount system
 class DiscountCalculator {
@@ -277,14 +280,16 @@ class LoyaltyDiscount extends DiscountStrategy {
 }
 
 class SeasonalDiscount extends DiscountStrategy {
-  constructor(season, rate) {
+  // `now` is injectable so the season can be fixed in tests and previews
+  constructor(season, rate, { now = () => new Date() } = {}) {
     super();
     this.season = season;
     this.rate = rate;
+    this.now = now;
   }
   
   calculate(order) {
-    const currentMonth = new Date().getMonth();
+    const currentMonth = this.now().getMonth();
     const seasonMonths = {
       'winter': [11, 0, 1],
       'spring': [2, 3, 4],
@@ -304,37 +309,39 @@ class SeasonalDiscount extends DiscountStrategy {
   }
 }
 
-// Usage
-const order = {
-  total: 200,
-  items: [
-    { name: 'Laptop', price: 100, quantity: 1 },
-    { name: 'Mouse', price: 25, quantity: 4 }
-  ],
-  customer: { tier: 'gold' }
-};
-
-const discountCalculator = new DiscountCalculator();
-
-// Can combine multiple discount strategies
-const discountStrategies = [
-  new PercentageDiscount(10),
-  new FixedAmountDiscount(15),
-  new BuyTwoGetOneDiscount(),
-  new LoyaltyDiscount(order.customer.tier),
-  new SeasonalDiscount('winter', 0.05)
-];
-
-console.log(`\n🛒 Order total: $${order.total}`);
-console.log('Applied discounts:');
-
-const totalDiscount = discountCalculator.calculateDiscount(order, discountStrategies);
-const finalTotal = order.total - totalDiscount;
-
-console.log(`\n💰 Total discount: -$${totalDiscount.toFixed(2)}`);
-console.log(`💳 Final total: $${finalTotal.toFixed(2)}`);
-
-console.log('\n=== NOTIFICATION SYSTEM EXAMPLE ===');
+function runDiscountExample() {
+  console.log('\n=== REAL-WORLD EXAMPLE: DISCOUNT SYSTEM ===');
+
+  // Usage
+  const order = {
+    total: 200,
+    items: [
+      { name: 'Laptop', price: 100, quantity: 1 },
+      { name: 'Mouse', price: 25, quantity: 4 }
+    ],
+    customer: { tier: 'gold' }
+  };
+
+  const discountCalculator = new DiscountCalculator();
+
+  // Can combine multiple discount strategies
+  const discountStrategies = [
+    new PercentageDiscount(10),
+    new FixedAmountDiscount(15),
+    new BuyTwoGetOneDiscount(),
+    new LoyaltyDiscount(order.customer.tier),
+    new SeasonalDiscount('winter', 0.05)
+  ];
+
+  console.log(`\n🛒 Order total: $${order.total}`);
+  console.log('Applied discounts:');
+
+  const totalDiscount = discountCalculator.calculateDiscount(order, discountStrategies);
+  const finalTotal = order.total - totalDiscount;
+
+  console.log(`\n💰 Total discount: -$${totalDiscount.toFixed(2)}`);
+  console.log(`💳 Final total: $${finalTotal.toFixed(2)}`);
+}
 
 // Another example: Notification system
 class NotificationSender {
@@ -419,20 +426,58 @@ class PushNotificationChannel extends NotificationChannel {
   }
 }
 
-// Usage
-const notificationSender = new NotificationSender();
-const channels = [
-  new EmailChannel('user@example.com'),
-  new SMSChannel('+1234567890'),
-  new SlackChannel('#general'),
-  new PushNotificationChannel('device_123')
-];
-
-notificationSender.sendNotifications('Your order has been shipped!', channels);
-
-console.log('\n=== OCP BENEFITS DEMONSTRATED ===');
-console.log('✅ New shapes/discounts/channels added without modifying existing code');
-console.log('✅ Existing functionality remains stable and tested');
-console.log('✅ Easy to extend system with new features');
-console.log('✅ Follows polymorphism principles');
-console.log('✅ Reduces risk of introducing bugs in working code');
\ No newline at end of file
+function runNotificationExample() {
+  console.log('\n=== NOTIFICATION SYSTEM EXAMPLE ===');
+
+  // Usage
+  const notificationSender = new NotificationSender();
+  const channels = [
+    new EmailChannel('user@example.com'),
+    new SMSChannel('+1234567890'),
+    new SlackChannel('#general'),
+    new PushNotificationChannel('device_123')
+  ];
+
+  notificationSender.sendNotifications('Your order has been shipped!', channels);
+}
+
+function runDemo() {
+  runBadExample();
+  runGoodExample();
+  runDiscountExample();
+  runNotificationExample();
+
+  console.log('\n=== OCP BENEFITS DEMONSTRATED ===');
+  console.log('✅ New shapes/discounts/channels added without modifying existing code');
+  console.log('✅ Existing functionality remains stable and tested');
+  console.log('✅ Easy to extend system with new features');
+  console.log('✅ Follows polymorphism principles');
+  console.log('✅ Reduces risk of introducing bugs in working code');
+}
+
+module.exports = {
+  Shape,
+  Rectangle,
+  Circle,
+  Triangle,
+  Hexagon,
+  AreaCalculator,
+  DiscountCalculator,
+  DiscountStrategy,
+  PercentageDiscount,
+  FixedAmountDiscount,
+  BuyTwoGetOneDiscount,
+  LoyaltyDiscount,
+  SeasonalDiscount,
+  NotificationSender,
+  NotificationChannel,
+  EmailChannel,
+  SMSChannel,
+  SlackChannel,
+  PushNotificationChannel,
+  runDemo
+};
+
+if (require.main === module) {
+  runDemo();
+}
@@ -14,10 +14,7 @@
  * - Reusability: High-level modules can work with different implementations
  */
 
-console.log('=== DEPENDENCY INVERSION PRINCIPLE ===\n');
-
 // ❌ BAD EXAMPLE - Violates DIP
-console.log('❌ BAD EXAMPLE (Violates DIP):');
 
 // High-level class depends directly on low-level implementation ❌
 class BadMySQLDatabase {
@@ -49,20 +46,24 @@ class BadUserService {
   }
 }
 
-// Usage - Cannot easily switch database implementations
-const badUserService = new BadUserService();
-badUserService.createUser({ name: 'John', email: 'john@example.com' });
+function runBadExample() {
+  console.log('=== DEPENDENCY INVERSION PRINCIPLE ===\n');
+  console.log('❌ BAD EXAMPLE (Violates DIP):');
+
+  // Usage - Cannot easily switch database implementations
+  const badUserService = new BadUserService();
+  badUserService.createUser({ name: 'John', email: 'john@example.com' });
 
-console.log('❌ Problems with this approach:');
-console.log('  - Cannot easily switch to MongoDB or other databases');
-console.log('  - Hard to test (cannot mock database)');
-console.log('  - UserService is tightly coupled to MySQL');
-console.log('  - Changes in MySQL implementation affect UserService');
+  console.log('❌ Problems with this approach:');
+  console.log('  - Cannot easily switch to MongoDB or other databases');
+  console.log('  - Hard to test (cannot mock database)');
+  console.log('  - UserService is tightly coupled to MySQL');
+  console.log('  - Changes in MySQL implementation affect UserService');
 
-console.log('\n' + '='.repeat(50) + '\n');
+  console.log('\n' + '='.repeat(50) + '\n');
+}
 
 // ✅ GOOD EXAMPLE - Follows DIP
-console.log('✅ GOOD EXAMPLE (Follows DIP):');
 
 // Abstraction (interface) that both high and low-level modules depend on ✅
 class Database {
@@ -261,29 +262,31 @@ class UserService {
   }
 }
 
-// Usage - dependency injection allows easy switching ✅
-console.log('=== USING MYSQL DATABASE ===');
-const mysqlDb = new MySQLDatabase();
-const userService1 = new UserService(mysqlDb);
+function runGoodExample() {
+  console.log('✅ GOOD EXAMPLE (Follows DIP):');
 
-const user1 = userService1.createUser({ name: 'Alice', email: 'alice@example.com' });
-userService1.getUser(user1.id);
+  // Usage - dependency injection allows easy switching ✅
+  console.log('=== USING MYSQL DATABASE ===');
+  const mysqlDb = new MySQLDatabase();
+  const userService1 = new UserService(mysqlDb);
 
-console.log('\n=== SWITCHING TO MONGODB ===');
-const mongoDb = new MongoDatabase();
-const userService2 = new UserService(mongoDb);
+  const user1 = userService1.createUser({ name: 'Alice', email: 'alice@example.com' });
+  userService1.getUser(user1.id);
 
-const user2 = userService2.createUser({ name: 'Bob', email: 'bob@example.com' });
-userService2.getUser(user2.id);
+  console.log('\n=== SWITCHING TO MONGODB ===');
+  const mongoDb = new MongoDatabase();
+  const userService2 = new UserService(mongoDb);
 
-console.log('\n=== SWITCHING TO FILE DATABASE ===');
-const fileDb = new FileDatabase();
-const userService3 = new UserService(fileDb);
+  const user2 = userService2.createUser({ name: 'Bob', email: 'bob@example.com' });
+  userService2.getUser(user2.id);
 
-const user3 = userService3.createUser({ name: 'Charlie', email: 'charlie@example.com' });
-userService3.getUser(user3.id);
+  console.log('\n=== SWITCHING TO FILE DATABASE ===');
+  const fileDb = new FileDatabase();
+  const userService3 = new UserService(fileDb);
 
-console.log('\n=== REAL-WORLD EXAMPLE: NOTIFICATION SYSTEM ===');
+  const user3 = userService3.createUser({ name: 'Charlie', email: 'charlie@example.com' });
+  userService3.getUser(user3.id);
+}
 
 // Real-world example: Notification system
 class NotificationSender {
@@ -378,34 +381,36 @@ class NotificationService {
   }
 }
 
-// Usage with different notification methods
-const users = [
-  { name: 'Alice', contact: 'alice@example.com' },
-  { name: 'Bob', contact: '+1234567890' },
-  { name: 'Charlie', contact: 'device_123' },
-  { name: 'Diana', contact: '#general' }
-];
-
-const notificationSenders = [
-  new EmailSender(),
-  new SMSSender(),
-  new PushNotificationSender(),
-  new SlackSender()
-];
-
-users.forEach((user, index) => {
-  const sender = notificationSenders[index];
-  const notificationService = new NotificationService(sender);
-  
-  console.log(`\n--- Notifications for ${user.name} ---`);
-  const welcomeResult = notificationService.sendWelcomeMessage(user);
-  const orderResult = notificationService.sendOrderConfirmation(user, 'ORD-12345');
-  
-  // Check delivery status
-  notificationService.checkDeliveryStatus(welcomeResult.messageId);
-});
-
-console.log('\n=== PAYMENT PROCESSING EXAMPLE ===');
+function runNotificationExample() {
+  console.log('\n=== REAL-WORLD EXAMPLE: NOTIFICATION SYSTEM ===');
+
+  // Usage with different notification methods
+  const users = [
+    { name: 'Alice', contact: 'alice@example.com' },
+    { name: 'Bob', contact: '+1234567890' },
+    { name: 'Charlie', contact: 'device_123' },
+    { name: 'Diana', contact: '#general' }
+  ];
+
+  const notificationSenders = [
+    new EmailSender(),
+    new SMSSender(),
+    new PushNotificationSender(),
+    new SlackSender()
+  ];
+
+  users.forEach((user, index) => {
+    const sender = notificationSenders[index];
+    const notificationService = new NotificationService(sender);
+
+    console.log(`\n--- Notifications for ${user.name} ---`);
+    const welcomeResult = notificationService.sendWelcomeMessage(user);
+    const orderResult = notificationService.sendOrderConfirmation(user, 'ORD-12345');
+
+    // Check delivery status
+    notificationService.checkDeliveryStatus(welcomeResult.messageId);
+  });
+}
 
 // Another example: Payment processing
 class PaymentGateway {
@@ -518,36 +523,64 @@ class PaymentService {
   }
 }
 
-// Usage with different payment gateways
-const order = { id: 'ORD-12345', total: 99.99, status: 'pending' };
+function runPaymentExample() {
+  console.log('\n=== PAYMENT PROCESSING EXAMPLE ===');
 
-const paymentGateways = [
-  { gateway: new StripeGateway(), details: { cardNumber: '4532123456789012', cvv: '123' } },
-  { gateway: new PayPalGateway(), details: { email: 'user@example.com' } },
-  { gateway: new CryptoGateway(), details: { walletAddress: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa' } }
-];
+  // Usage with different payment gateways
+  const order = { id: 'ORD-12345', total: 99.99, status: 'pending' };
 
-paymentGateways.forEach(({ gateway, details }, index) => {
-  console.log(`\n--- Payment Method ${index + 1} ---`);
-  const paymentService = new PaymentService(gateway);
-  
-  // Create a copy of order for each test
-  const testOrder = { ...order, id: `${order.id}-${index + 1}` };
-  
-  const result = paymentService.processOrder(testOrder, details);
-  
-  if (result.success) {
-    // Simulate refund
-    setTimeout(() => {
-      paymentService.processRefund(testOrder, 'Customer requested refund');
-    }, 100);
-  }
-});
+  const paymentGateways = [
+    { gateway: new StripeGateway(), details: { cardNumber: '4532123456789012', cvv: '123' } },
+    { gateway: new PayPalGateway(), details: { email: 'user@example.com' } },
+    { gateway: new CryptoGateway(), details: { walletAddress: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa' } }
+  ];
+
+  paymentGateways.forEach(({ gateway, details }, index) => {
+    console.log(`\n--- Payment Method ${index + 1} ---`);
+    const paymentService = new PaymentService(gateway);
+
+    // Create a copy of order for each test
+    const testOrder = { ...order, id: `${order.id}-${index + 1}` };
+
+    const result = paymentService.processOrder(testOrder, details);
+
+    if (result.success) {
+      // Simulate refund
+      setTimeout(() => {
+        paymentService.processRefund(testOrder, 'Customer requested refund');
+      }, 100);
+    }
+  });
+}
 
-console.log('\n=== DIP BENEFITS DEMONSTRATED ===');
-console.log('✅ High-level modules independent of low-level implementations');
-console.log('✅ Easy to swap implementations (MySQL → MongoDB → File)');
-console.log('✅ Highly testable with dependency injection');
-console.log('✅ Flexible architecture supporting multiple providers');
-console.log('✅ Reduced coupling between layers');
-console.log('✅ Easy to add new implementations without changing existing code');
\ No newline at end of file
+function runDemo() {
+  runBadExample();
+  runGoodExample();
+  runNotificationExample();
+  runPaymentExample();
+
+  console.log('\n=== DIP BENEFITS DEMONSTRATED ===');
+  console.log('✅ High-level modules independent of low-level implementations');
+  console.log('✅ Easy to swap implementations (MySQL → MongoDB → File)');
+  console.log('✅ Highly testable with dependency injection');
+  console.log('✅ Flexible architecture supporting multiple providers');
+  console.log('✅ Reduced coupling between layers');
+  console.log('✅ Easy to add new implementations without changing existing code');
+}
+
+module.exports = {
+  Database,
+  MySQLDatabase,
+  MongoDatabase,
+  FileDatabase,
+  UserService,
+  NotificationSender,
+  NotificationService,
+  PaymentGateway,
+  PaymentService,
+  runDemo
+};
+
+if (require.main === module) {
+  runDemo();
+}
@@ -32,7 +32,12 @@ async function runPrinciple(principleIndex) {
   try {
     // Import and run the principle file
     delete require.cache[require.resolve(`./${principle.file}`)];
-    require(`./${principle.file}`);
+    const principleModule = require(`./${principle.file}`);
+
+    // Files that export reusable classes only run their demo on request
+    if (typeof principleModule.runDemo === 'function') {
+      principleModule.runDemo();
+    }
   } catch (error) {
     console.error(`❌ Error running ${principle.name}:`, error.message);
   }
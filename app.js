@@ -1,34 +1,90 @@
-let tracer = require("./datadog"); // must come before other imports
+const tracer = require("./datadog"); // must come before other imports
 
 const express = require("express");
+const asyncHandler = require("./lib/asyncHandler");
+const { NotFoundError } = require("./lib/httpErrors");
+const { tracing } = require("./middleware/tracing.middleware");
+const { requestLogger } = require("./middleware/requestLogger.middleware");
+const { Logger } = require("./DesignPatterns/2-singleton-pattern");
+const { registry, collectDefaultMetrics } = require("./lib/metrics");
+const { httpMetrics } = require("./middleware/metrics.middleware");
+const { responseCache } = require("./middleware/cache.middleware");
+const { notFoundHandler, errorHandler } = require("./middleware/error.middleware");
+const { createLifecycle } = require("./lib/lifecycle");
+const { requireToken } = require("./middleware/auth.middleware");
+const createLogsRouter = require("./routes/logs.routes");
 
 const app = express();
+const port = process.env.PORT || 3000;
 
-app.get("/health", (req, res) => {
-  res.send("ok");
-});
+new Logger().configure({ format: process.env.LOG_FORMAT || "json" });
 
-app.get("/users", async (req, res) => {
-  try {
-    // simulate DB call
-    await new Promise((resolve) => setTimeout(resolve, 100));
-    res.json({ users: [] });
-  } catch (err) {
-    res.status(500).send("Error");
-  }
-});
+// simulate DB call, traced as a child span of the request
+const queryUsers = () =>
+  tracer.trace("db.query", { tags: { "db.system": "memory", "db.statement": "SELECT * FROM users" } }, () =>
+    new Promise((resolve) => setTimeout(() => resolve([]), 100))
+  );
+
+// /health and /health/live always answer, /health/ready also checks the "DB"
+const lifecycle = createLifecycle({ name: "node-backend-service" });
+lifecycle.addCheck("database", () => queryUsers().then(() => true));
+app.use(lifecycle.router());
+
+// GET /metrics in Prometheus text format
+collectDefaultMetrics();
+app.use(registry.router());
+
+// Access log first so the span gets the request id; all three run for every request below
+app.use(requestLogger());
+app.use(tracing({ tracer }));
+app.use(httpMetrics());
+
+// Skips the 100ms "DB" call for a minute; clients may reuse the response for 30s
+app.get(
+  "/users",
+  responseCache({ namespace: "users", ttlMs: 60 * 1000, cacheControl: "public, max-age=30" }),
+  asyncHandler(async (req, res) => {
+    res.json({ users: await queryUsers() });
+  })
+);
+
+app.get(
+  "/users/:id",
+  asyncHandler(async (req, res) => {
+    const users = await queryUsers();
+    const user = users.find((candidate) => String(candidate.id) === req.params.id);
+    if (!user) throw new NotFoundError("User not found");
+    res.json(user);
+  })
+);
 
 app.get("/error", (req, res) => {
-  try {
-    throw new Error("Something went wrong");
-  } catch (err) {
-    tracer.trace("custom.error", (span) => {
-      span.setTag("error", err);
-    });
-    res.status(500).send("Failure");
-  }
+  throw new Error("Something went wrong");
 });
 
-app.listen(3000, () => {
-  console.log("Server running on port 3000");
-});
+// ADMIN_TOKEN enables /admin/logs (query, tail and clear the in-memory log
+// buffer) for requests sending it as a Bearer token; unset, there's no route
+if (process.env.ADMIN_TOKEN) {
+  const logsRouter = createLogsRouter();
+  app.use("/admin/logs", requireToken(process.env.ADMIN_TOKEN), logsRouter);
+  lifecycle.onDrain(() => logsRouter.close());
+}
+
+app.use(notFoundHandler);
+app.use(
+  errorHandler({
+    // Record server failures on the request span so they show up in Datadog
+    onError: (err, req, status) => {
+      if (status >= 500 && req.span) req.span.recordException(err);
+    },
+  })
+);
+
+// Listens with graceful shutdown on SIGTERM/SIGINT
+const start = (listenPort = port) => lifecycle.listen(app, listenPort);
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start, lifecycle };
@@ -1,6 +1,7 @@
-function logger(req, res, next) {
-  console.log(`${req.method} ${req.url}`);
-  next();
-}
+const { requestLogger } = require("../middleware/requestLogger.middleware");
 
-app.use(logger);
+// Structured replacement for the old `${req.method} ${req.url}` console logger:
+// one JSON line per request with status, latency, bytes and X-Request-Id
+const logger = requestLogger();
+
+module.exports = logger;
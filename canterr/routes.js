@@ -1,7 +1,89 @@
 const router = require("express").Router();
 const userController = require("../controllers/user.controller");
+const { validateBody } = require("../middleware/validate.middleware");
+const { documented, toJsonSchema } = require("../lib/openapi");
+const userSchema = require("../schemas/user.schema");
 
-router.get("/", userController.getUsers);
-router.post("/", userController.createUser);
+const userInput = toJsonSchema(userSchema);
+const api = documented(router, {
+  schemas: {
+    UserInput: userInput,
+    User: {
+      ...userInput,
+      properties: { id: { type: "integer", example: 1 }, ...userInput.properties },
+      required: ["id", ...userInput.required],
+    },
+  },
+});
+
+const example = { name: "Amit", email: "amit@example.com", age: 30 };
+
+api.get(
+  "/",
+  {
+    summary: "List users",
+    description: "Filter with field[op]=value, e.g. name[contains]=a",
+    list: true,
+    responses: { 200: { schema: "User[]" }, 400: "Invalid filter, sort or paging parameter" },
+  },
+  userController.getUsers
+);
+
+api.post(
+  "/",
+  {
+    summary: "Create a user",
+    body: { schema: "UserInput", example },
+    responses: { 201: { schema: "User", headers: { Location: "URL of the new user" } }, 422: "Validation failed" },
+  },
+  validateBody(userSchema),
+  userController.createUser
+);
+
+api.get(
+  "/:id",
+  { summary: "Get a user", params: { id: "User id" }, responses: { 200: { schema: "User" }, 404: "User not found" } },
+  userController.getUser
+);
+
+api.put(
+  "/:id",
+  {
+    summary: "Replace a user",
+    params: { id: "User id" },
+    body: { schema: "UserInput", example },
+    responses: { 200: { schema: "User" }, 404: "User not found", 422: "Validation failed" },
+  },
+  validateBody(userSchema),
+  userController.replaceUser
+);
+
+api.patch(
+  "/:id",
+  {
+    summary: "Update some fields of a user",
+    params: { id: "User id" },
+    body: { schema: userSchema, partial: true, example: { email: "amit.kumar@example.com" } },
+    responses: { 200: { schema: "User" }, 404: "User not found", 422: "Validation failed" },
+  },
+  validateBody(userSchema, { partial: true }),
+  userController.updateUser
+);
+
+api.delete(
+  "/:id",
+  {
+    summary: "Delete a user",
+    params: { id: "User id" },
+    responses: {
+      200: {
+        schema: { type: "object", properties: { msg: { type: "string" } } },
+        example: { msg: "Deleted successfully" },
+      },
+      404: "User not found",
+    },
+  },
+  userController.deleteUser
+);
 
 module.exports = router;
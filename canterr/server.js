@@ -2,50 +2,71 @@
 //npm install express
 
 const express = require("express");
+const { notFoundHandler, errorHandler } = require("../middleware/error.middleware");
+const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+const { createLifecycle } = require("../lib/lifecycle");
+const { capture } = require("../middleware/capture.middleware");
+const { responseCache } = require("../middleware/cache.middleware");
+const { OpenApiRegistry } = require("../lib/openapi");
+const { registry, collectDefaultMetrics } = require("../lib/metrics");
+const { httpMetrics } = require("../middleware/metrics.middleware");
+const { requireToken } = require("../middleware/auth.middleware");
+const createLogsRouter = require("../routes/logs.routes");
+const logger = require("./middleware");
 const app = express();
+const port = process.env.PORT || 3000;
+const lifecycle = createLifecycle({ name: "users-api" });
+
+new Logger().configure({ format: process.env.LOG_FORMAT || "json" });
+
+app.use(lifecycle.router());
+
+// GET /metrics in Prometheus text format
+collectDefaultMetrics();
+app.use(registry.router());
+
+app.use(logger);
+app.use(httpMetrics());
+
+// CAPTURE_FILE=captures/requests.jsonl records traffic for scripts/replay.js
+if (process.env.CAPTURE_FILE) {
+  const recorder = capture();
+  app.use(recorder);
+  lifecycle.onShutdown(() => recorder.close());
+}
 
 app.use(express.json());
 
-let users = [
-  { id: 1, name: "Yogesh" },
-  { id: 2, name: "Rahul" },
-];
-
-// GET all users
-app.get("/users", (req, res) => {
-  res.json(users);
-});
-
-// GET single user
-app.get("/users/:id", (req, res) => {
-  const user = users.find((u) => u.id == req.params.id);
-  if (!user) return res.status(404).json({ msg: "User not found" });
-  res.json(user);
-});
-
-// POST user
-app.post("/users", (req, res) => {
-  const newUser = {
-    id: Date.now(),
-    name: req.body.name,
-  };
-  users.push(newUser);
-  res.status(201).json(newUser);
-});
-
-// PUT update
-app.put("/users/:id", (req, res) => {
-  const user = users.find((u) => u.id == req.params.id);
-  if (!user) return res.status(404).json({ msg: "User not found" });
-
-  user.name = req.body.name;
-  res.json(user);
-});
-
-// DELETE
-app.delete("/users/:id", (req, res) => {
-  users = users.filter((u) => u.id != req.params.id);
-  res.json({ msg: "Deleted successfully" });
-});
-
-app.listen(3000, () => console.log("Server running on port 3000"));
+// GET/POST /users, GET/PUT/PATCH/DELETE /users/:id
+// GETs are cached until a write to /users or 30s pass; browsers may reuse them for 5s
+const userRouter = require("./routes");
+app.use(
+  "/users",
+  responseCache({ namespace: "users", ttlMs: 30 * 1000, cacheControl: "public, max-age=5" }),
+  userRouter
+);
+
+// /openapi.json, /postman.json and /docs, generated from the route metadata
+const openapi = new OpenApiRegistry({ title: "Users API", version: "1.0.0" });
+openapi.mount("/users", userRouter, { tags: ["Users"] });
+app.use(openapi.router());
+
+// ADMIN_TOKEN enables /admin/logs (query, tail and clear the in-memory log
+// buffer) for requests sending it as a Bearer token; unset, there's no route
+if (process.env.ADMIN_TOKEN) {
+  const logsRouter = createLogsRouter();
+  app.use("/admin/logs", requireToken(process.env.ADMIN_TOKEN), logsRouter);
+  lifecycle.onDrain(() => logsRouter.close());
+}
+
+app.use(notFoundHandler);
+app.use(errorHandler());
+
+// Listens with graceful shutdown on SIGTERM/SIGINT
+const start = (listenPort = port) => lifecycle.listen(app, listenPort);
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start, lifecycle };
@@ -0,0 +1,48 @@
+const { sendList } = require("../lib/listQuery");
+const { UserService } = require("../services/user.service");
+const { createUserRepository } = require("../repositories/user.repository");
+const userSchema = require("../schemas/user.schema");
+
+const listFields = ["id", ...Object.keys(userSchema)];
+
+/**
+ * Express handlers for the users resource. Validation happens in the router
+ * (validateBody), lookups and 404s in UserService; handlers only translate
+ * between HTTP and the service.
+ */
+function createUserController(userService) {
+  return {
+    // Supports ?name[contains]=a&sort=-id&page=1&pageSize=20 etc., see lib/listQuery.js
+    getUsers(req, res) {
+      sendList(req, res, userService.listUsers(), { fields: listFields });
+    },
+
+    getUser(req, res) {
+      res.json(userService.getUser(req.params.id));
+    },
+
+    createUser(req, res) {
+      const user = userService.createUser(req.body);
+      res.status(201).location(`${req.baseUrl}/${user.id}`).json(user);
+    },
+
+    replaceUser(req, res) {
+      res.json(userService.replaceUser(req.params.id, req.body));
+    },
+
+    updateUser(req, res) {
+      res.json(userService.updateUser(req.params.id, req.body));
+    },
+
+    deleteUser(req, res) {
+      userService.deleteUser(req.params.id);
+      res.json({ msg: "Deleted successfully" });
+    },
+  };
+}
+
+// Default handlers backed by the store configured through USERS_STORE
+module.exports = {
+  createUserController,
+  ...createUserController(new UserService(createUserRepository())),
+};
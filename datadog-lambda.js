@@ -1,5 +1,10 @@
 //npm install datadog-lambda-js dd-trace
-const { datadog } = require("datadog-lambda-js");
+const { loadDatadogWrapper } = require("./lib/datadogLambda");
+const { createLambdaHandler } = require("./lib/lambdaExpress");
+
+// datadog-lambda-js in production; DD_LAMBDA_WRAPPER=stub (or the package
+// missing) swaps in an offline stand-in, see scripts/invoke-lambda.js
+const datadog = loadDatadogWrapper();
 
 const handler = async (event) => {
   console.log("Processing event");
@@ -7,3 +12,11 @@ const handler = async (event) => {
 };
 
 exports.handler = datadog(handler);
+
+// The products API (express.js) behind API Gateway. Loaded on the first
+// request so functions deploying only `handler` don't pay for it.
+let productsApi;
+exports.api = datadog((event, context) => {
+  productsApi = productsApi || createLambdaHandler(require("./express").app);
+  return productsApi(event, context);
+});
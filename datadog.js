@@ -1,12 +1,22 @@
 // npm install dd-trace express
 
 // datadog.js
-const tracer = require("dd-trace");
+// Tracing facade (lib/tracer.js) configured from the environment. With
+// TRACING_EXPORTER=none or memory, or without dd-trace installed, the app
+// runs without the Datadog agent.
+const { tracerFromEnv } = require("./lib/tracer");
+const { Logger } = require("./DesignPatterns/2-singleton-pattern");
 
-tracer.init({
+const tracer = tracerFromEnv(process.env, {
   service: "node-backend-service",
   env: "local",
   logInjection: true,
 });
 
+// Every log entry written during a traced request carries dd.trace_id and
+// dd.span_id, so Datadog links the logs to the trace
+if (tracer.logInjection) {
+  new Logger().configure({ context: () => tracer.logContext() });
+}
+
 module.exports = tracer;
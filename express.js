@@ -1,54 +1,110 @@
 const express = require("express");
-// const jwt = require("jsonwebtoken"); // Import JWT library
+const { createProductRepository } = require("./repositories/product.repository");
+const { AuthService } = require("./services/auth.service");
+const { authenticate, authorize } = require("./middleware/auth.middleware");
+const createAuthRouter = require("./routes/auth.routes");
+const createProductRouter = require("./routes/product.routes");
+const createLogsRouter = require("./routes/logs.routes");
+const { notFoundHandler, errorHandler } = require("./middleware/error.middleware");
+const { requestLogger } = require("./middleware/requestLogger.middleware");
+const { rateLimit } = require("./middleware/rateLimit.middleware");
+const { responseCache } = require("./middleware/cache.middleware");
+const { Logger } = require("./DesignPatterns/2-singleton-pattern");
+const { createLifecycle } = require("./lib/lifecycle");
+const { capture } = require("./middleware/capture.middleware");
+const { OpenApiRegistry } = require("./lib/openapi");
+const { registry, collectDefaultMetrics } = require("./lib/metrics");
+const { httpMetrics } = require("./middleware/metrics.middleware");
 const app = express();
-const port = 3111;
+const port = process.env.PORT || 3111;
 
-// const authMiddleware = (req, res, next) => {
-//   // Middleware function
-//   const authHeader = req.headers["authorization"]; // Get auth header
-//   if (!authHeader)
-//     return res.status(401).json({ message: "No token provided" }); // No token
+// Behind the gateway (gateway.js) every request comes from the gateway's
+// address: trust the X-Forwarded-For it sends, so req.ip (and with it the
+// per-IP login limit) is the client's. TRUST_PROXY takes Express's "trust
+// proxy" values: loopback (default, a gateway on this host), a subnet such
+// as 10.0.0.0/8, a hop count, or false when clients connect directly.
+const trustProxy = process.env.TRUST_PROXY || "loopback";
+app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "false" ? false : trustProxy);
 
-//   const token = authHeader.split(" ")[1]; // Extract token from "Bearer <token>"
-//   if (!token) return res.status(401).json({ message: "No token provided" }); // No token
+// JSON lines by default so logs can be shipped and queried; LOG_FORMAT=text for humans
+new Logger().configure({ format: process.env.LOG_FORMAT || "json" });
 
-//   jwt.verify(token, "your-secret-key", (err, user) => {
-//     // Verify token
-//     if (err) return res.status(403).json({ message: "Invalid token" }); // Invalid token
-//     req.user = user; // Attach user info to request
-//     next(); // Proceed to next middleware/route
-//   });
-// };
+// In-memory by default; PRODUCTS_STORE=file persists to PRODUCTS_FILE
+const products = createProductRepository();
+const authService = new AuthService();
 
-//module.exports = authMiddleware; // Export middleware
+// /health/live and /health/ready, mounted before the access log so probes don't flood it
+const lifecycle = createLifecycle({ name: "products-api" });
+lifecycle.addCheck("products-store", () => products.ping());
+app.use(lifecycle.router());
 
-let products = [
-  { id: 1, name: "Laptop", price: 1000 },
-  { id: 2, name: "Mobile", price: 500 },
-];
+// Prometheus scrape endpoint: request, process and business metrics (products_created_total)
+collectDefaultMetrics();
+app.use(registry.router());
+
+app.use(requestLogger());
+app.use(httpMetrics());
+
+// CAPTURE_FILE=captures/requests.jsonl records traffic for scripts/replay.js
+if (process.env.CAPTURE_FILE) {
+  const recorder = capture();
+  app.use(recorder);
+  lifecycle.onShutdown(() => recorder.close());
+}
+
+app.use(express.json());
+
+// Route metadata is declared next to the handlers; this registry collects it
+const openapi = new OpenApiRegistry({
+  title: "Products API",
+  version: "1.0.0",
+  description: "Log in with POST /auth/login (admin/admin123 or testuser/test123) and send the accessToken as a Bearer token.",
+});
 
 app.get("/", (req, res) => {
   res.send("Hello, Welcome to the Express starter template for Stackblitz!");
 });
-
-// Only authorized users reach here
-app.get("/products", (req, res) => {
-  res.json(products);
+openapi.route("get", "/", {
+  summary: "Welcome message",
+  responses: { 200: { schema: { type: "string" }, contentType: "text/html" } },
 });
 
-app.post("/products", (req, res) => {
-  const newProduct = req.body;
-  newProduct.id = products.length + 1;
-  products.push(newProduct);
-  res.status(201).json(newProduct);
-});
+// Slow down password guessing: 5 login attempts per minute per IP
+const authRouter = createAuthRouter(authService);
+app.use("/auth/login", rateLimit({ algorithm: "sliding-window", limit: 5, windowMs: 60 * 1000, key: "ip" }));
+app.use("/auth", authRouter);
+openapi.mount("/auth", authRouter, { tags: ["Auth"] });
 
-app.delete("/products", (req, res) => {
-  const id = parseInt(req.params.id);
-  products = products.filter((p) => p.id !== id);
-  res.status(204).send();
-});
+// Only authenticated users reach here, and only admins may change products.
+// Each user gets bursts of up to 100 requests, refilled over a minute.
+const productRouter = createProductRouter(products, { authorizeWrite: authorize("admin") });
+app.use(
+  "/products",
+  authenticate(authService),
+  rateLimit({ algorithm: "token-bucket", limit: 100, windowMs: 60 * 1000 }),
+  // Behind auth, so private; no-cache makes clients revalidate (cheap 304s) instead of reading stale data
+  responseCache({ namespace: "products", ttlMs: 30 * 1000, cacheControl: "private, no-cache" }),
+  productRouter
+);
+openapi.mount("/products", productRouter, { tags: ["Products"], auth: true });
 
-app.listen(port, () => {
-  console.log(`App is live at http://localhost:${port}`);
-});
+// Query, tail (SSE) and clear the in-memory log buffer; admins only
+const logsRouter = createLogsRouter();
+app.use("/admin/logs", authenticate(authService), authorize("admin"), logsRouter);
+openapi.mount("/admin/logs", logsRouter, { tags: ["Admin"], auth: true });
+lifecycle.onDrain(() => logsRouter.close());
+
+// /openapi.json, /postman.json and /docs
+app.use(openapi.router());
+
+app.use(notFoundHandler);
+app.use(errorHandler());
+
+// Listens with graceful shutdown on SIGTERM/SIGINT
+const start = (listenPort = port) => lifecycle.listen(app, listenPort);
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start, lifecycle };
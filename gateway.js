@@ -0,0 +1,83 @@
+const http = require("http");
+const { WebServer } = require("./DesignPatterns/6-middleware-pattern");
+const { rateLimitWebServer } = require("./middleware/rateLimit.middleware");
+const { createUpstreams, authenticate, health, proxy, aggregate, createHttpHandler } = require("./lib/gateway");
+const { Logger } = require("./DesignPatterns/2-singleton-pattern");
+const { createLifecycle } = require("./lib/lifecycle");
+const { tracerFromEnv } = require("./lib/tracer");
+const port = process.env.PORT || 8000;
+
+/**
+ * API gateway in front of the products API (express.js) and the users API
+ * (canterr/server.js):
+ *
+ *   /api/auth/*      -> products  /auth/*       (public)
+ *   /api/products/*  -> products  /products/*
+ *   /api/users/*     -> users     /users/*
+ *   GET /api/overview   top products + users in one response
+ *
+ * JWT_SECRET must be the one the products API signs its tokens with.
+ * Tracing is configured like datadog.js (TRACING_EXPORTER, DD_*): every
+ * request is a span, and the upstream calls are its children with the trace
+ * context in their headers, so the products and users spans join the trace.
+ */
+
+new Logger().configure({ format: process.env.LOG_FORMAT || "json" });
+
+const tracer = tracerFromEnv(process.env, { service: "api-gateway", env: "local" });
+
+const lifecycle = createLifecycle({ name: "api-gateway" });
+
+// Each upstream gets its own circuit breaker: 5 failures in a row open it for 30s
+const upstreams = createUpstreams(
+  {
+    products: { url: process.env.PRODUCTS_URL || "http://localhost:3111" },
+    users: { url: process.env.USERS_URL || "http://localhost:3000" },
+  },
+  { timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS) || 5000, tracer }
+);
+
+const gateway = new WebServer();
+
+gateway.use(health({ upstreams, isShuttingDown: () => lifecycle.shuttingDown }));
+gateway.use(authenticate({ secret: process.env.JWT_SECRET, publicPaths: ["/api/auth/"] }));
+
+// Per user once authenticated, per IP for the public routes
+gateway.use(rateLimitWebServer({ algorithm: "token-bucket", limit: 300, windowMs: 60 * 1000 }));
+
+gateway.use(
+  aggregate(
+    [
+      {
+        path: "/api/overview",
+        sources: {
+          products: { upstream: "products", path: "/products?sort=-price&limit=5" },
+          users: { upstream: "users", path: "/users?limit=5" },
+        },
+      },
+    ],
+    upstreams
+  )
+);
+
+gateway.use(
+  proxy(
+    [
+      { prefix: "/api/auth", upstream: "products", target: "/auth" },
+      { prefix: "/api/products", upstream: "products", target: "/products" },
+      { prefix: "/api/users", upstream: "users", target: "/users" },
+    ],
+    upstreams
+  )
+);
+
+const server = http.createServer(createHttpHandler(gateway, { tracer }));
+
+// Listens with graceful shutdown on SIGTERM/SIGINT
+const start = (listenPort = port) => lifecycle.listen(server, listenPort);
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { gateway, server, upstreams, start, lifecycle, tracer };
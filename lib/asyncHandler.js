@@ -0,0 +1,9 @@
+// Express 4 doesn't catch rejected promises from handlers: forward them to
+// next() so they reach the error middleware instead of hanging the request
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve()
+    .then(() => handler(req, res, next))
+    .catch(next);
+};
+
+module.exports = asyncHandler;
@@ -0,0 +1,117 @@
+const { ServiceUnavailableError } = require("./httpErrors");
+
+// Thrown instead of calling the upstream while the circuit is open
+class CircuitOpenError extends ServiceUnavailableError {
+  constructor(name, retryAfterMs) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    super(`${name} is unavailable, retry in ${retryAfter}s`, { headers: { "Retry-After": String(retryAfter) } });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Circuit breaker for calls to one upstream.
+ *
+ *   closed     calls go through; `failureThreshold` consecutive failures open it
+ *   open       calls fail fast with CircuitOpenError (503) for `resetTimeoutMs`
+ *   half_open  up to `halfOpenMaxCalls` trial calls; a success closes the
+ *              circuit, a failure opens it again
+ *
+ * A call fails when it throws or when `isFailure(result)` says so (e.g. a 5xx
+ * response), so a sick upstream that still answers trips it too.
+ */
+class CircuitBreaker {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.name]
+   * @param {number} [options.failureThreshold]
+   * @param {number} [options.resetTimeoutMs]
+   * @param {number} [options.halfOpenMaxCalls]
+   * @param {(result) => boolean} [options.isFailure]
+   * @param {(state, previous) => void} [options.onStateChange]
+   * @param {() => number} [options.now]
+   */
+  constructor({
+    name = "upstream",
+    failureThreshold = 5,
+    resetTimeoutMs = 30 * 1000,
+    halfOpenMaxCalls = 1,
+    isFailure = () => false,
+    onStateChange = () => {},
+    now = () => Date.now(),
+  } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+    this.isFailure = isFailure;
+    this.onStateChange = onStateChange;
+    this.now = now;
+
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = 0;
+    this.halfOpenCalls = 0;
+    this.counts = { calls: 0, failures: 0, rejected: 0 };
+  }
+
+  transition(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    if (state === "open") this.openedAt = this.now();
+    if (state === "half_open") this.halfOpenCalls = 0;
+    if (state === "closed") this.failures = 0;
+    this.onStateChange(state, previous);
+  }
+
+  // Checks the clock, so an expired open circuit reports half_open
+  currentState() {
+    if (this.state === "open" && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition("half_open");
+    }
+    return this.state;
+  }
+
+  async exec(fn) {
+    const state = this.currentState();
+
+    if (state === "open" || (state === "half_open" && this.halfOpenCalls >= this.halfOpenMaxCalls)) {
+      this.counts.rejected++;
+      const retryAfterMs = state === "open" ? this.resetTimeoutMs - (this.now() - this.openedAt) : this.resetTimeoutMs;
+      throw new CircuitOpenError(this.name, retryAfterMs);
+    }
+
+    if (state === "half_open") this.halfOpenCalls++;
+    this.counts.calls++;
+
+    let result;
+    try {
+      result = await fn();
+    } catch (err) {
+      this.recordFailure();
+      throw err;
+    }
+
+    if (this.isFailure(result)) this.recordFailure();
+    else this.recordSuccess();
+    return result;
+  }
+
+  recordSuccess() {
+    if (this.state === "half_open") this.transition("closed");
+    this.failures = 0;
+  }
+
+  recordFailure() {
+    this.counts.failures++;
+    this.failures++;
+    if (this.state === "half_open" || this.failures >= this.failureThreshold) this.transition("open");
+  }
+
+  stats() {
+    return { name: this.name, state: this.currentState(), consecutiveFailures: this.failures, ...this.counts };
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError };
@@ -0,0 +1,353 @@
+const cluster = require("cluster");
+const crypto = require("crypto");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { monitorEventLoopDelay } = require("perf_hooks");
+const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+
+const STATS_MESSAGE = "cluster:stats";
+
+const cpuCount = () => (os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+
+/**
+ * Runs an app module across N worker processes with Node's cluster module.
+ *
+ * The module must export `start()` (like express.js, app.js and
+ * canterr/server.js): each worker requires it and calls start(), so every
+ * worker gets the app's own lifecycle, health checks and graceful shutdown.
+ *
+ *   - Crashed workers are restarted with exponential backoff; a worker that
+ *     stayed up for `stableAfterMs` resets its backoff.
+ *   - SIGHUP does a rolling restart: one worker at a time, the replacement
+ *     must be listening before the old one is asked to drain (SIGTERM).
+ *   - SIGTERM/SIGINT drain every worker and exit.
+ *   - SIGUSR2 logs per-worker stats; `statsPort` also serves them as JSON.
+ *
+ * State held in memory (the default products store, rate limit counters,
+ * refresh tokens) is per worker. Outside production, JWT_SECRET is generated
+ * once here when it isn't set, so tokens signed by one worker verify on the
+ * others.
+ */
+class ClusterManager {
+  /**
+   * @param {object} options
+   * @param {string} options.script             app module exporting start()
+   * @param {number} [options.workers]          defaults to the number of CPUs
+   * @param {object} [options.env]              extra environment for the workers
+   * @param {number} [options.restartDelayMs]   first restart delay, doubled per consecutive crash
+   * @param {number} [options.maxRestartDelayMs]
+   * @param {number} [options.stableAfterMs]    uptime after which a crash counts as the first one again
+   * @param {number} [options.shutdownTimeoutMs] how long a worker may take to drain before SIGKILL
+   * @param {number} [options.listenTimeoutMs]  how long a new worker may take to listen
+   * @param {number} [options.statsIntervalMs]  how often workers report stats
+   * @param {number} [options.statsPort]        serve GET /stats on this port (off by default)
+   * @param {Logger} [options.logger]
+   */
+  constructor({
+    script,
+    workers = Number(process.env.WEB_CONCURRENCY) || cpuCount(),
+    env = {},
+    restartDelayMs = 1000,
+    maxRestartDelayMs = 30000,
+    stableAfterMs = 10000,
+    shutdownTimeoutMs = (Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000) + 5000,
+    listenTimeoutMs = 30000,
+    statsIntervalMs = 5000,
+    statsPort,
+    logger = new Logger(),
+  }) {
+    if (!script) throw new Error("ClusterManager needs the app script to run");
+
+    this.script = path.resolve(script);
+    this.workerCount = workers;
+    this.env = { ...env, CLUSTER_STATS_INTERVAL_MS: String(statsIntervalMs) };
+    this.restartDelayMs = restartDelayMs;
+    this.maxRestartDelayMs = maxRestartDelayMs;
+    this.stableAfterMs = stableAfterMs;
+    this.shutdownTimeoutMs = shutdownTimeoutMs;
+    this.listenTimeoutMs = listenTimeoutMs;
+    this.statsPort = statsPort;
+    this.logger = logger;
+    this.slots = [];
+    this.stopping = false;
+    this.restarting = false;
+  }
+
+  start() {
+    if (!this.env.JWT_SECRET && !process.env.JWT_SECRET) {
+      // Workers refuse to start without one in production; don't hand them a made-up one
+      if ((this.env.NODE_ENV || process.env.NODE_ENV) === "production") {
+        throw new Error("JWT_SECRET must be set in production");
+      }
+      this.env.JWT_SECRET = crypto.randomBytes(32).toString("hex");
+      this.logger.warn("JWT_SECRET is not set, generated one for all workers: tokens won't survive a cluster restart", {
+        service: "cluster",
+      });
+    }
+
+    cluster.setupPrimary({ exec: __filename, args: [this.script] });
+
+    for (let index = 0; index < this.workerCount; index++) {
+      const slot = { index, worker: null, crashes: 0, restarts: 0, timer: null };
+      this.slots.push(slot);
+      slot.worker = this.spawn(slot);
+    }
+
+    this.signalHandlers = {
+      SIGHUP: () => this.rollingRestart(),
+      SIGUSR2: () => this.logStats(),
+      SIGTERM: () => this.shutdown("SIGTERM").then((code) => process.exit(code)),
+      SIGINT: () => this.shutdown("SIGINT").then((code) => process.exit(code)),
+    };
+    Object.entries(this.signalHandlers).forEach(([signal, handler]) => process.on(signal, handler));
+
+    if (this.statsPort !== undefined) {
+      this.statsServer = http
+        .createServer((req, res) => {
+          if (req.url !== "/stats") {
+            res.writeHead(404).end();
+            return;
+          }
+          res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(this.stats()));
+        })
+        .listen(this.statsPort);
+    }
+
+    this.logger.info(`cluster starting ${this.workerCount} worker(s) for ${path.relative(process.cwd(), this.script)}`, {
+      service: "cluster",
+      pid: process.pid,
+    });
+    return this;
+  }
+
+  // Forks a worker for the slot; worker.ready settles once it listens (or dies/times out first)
+  spawn(slot) {
+    const worker = cluster.fork({ ...this.env, CLUSTER_WORKER_SLOT: String(slot.index) });
+    worker.startedAt = Date.now();
+    worker.slot = slot;
+
+    worker.on("message", (message) => {
+      if (message && message.type === STATS_MESSAGE) worker.stats = message.stats;
+    });
+    worker.on("exit", (code, signal) => this.onExit(worker, code, signal));
+
+    worker.ready = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`worker ${worker.process.pid} did not listen within ${this.listenTimeoutMs}ms`));
+        worker.process.kill("SIGKILL");
+      }, this.listenTimeoutMs);
+
+      worker.once("listening", () => {
+        clearTimeout(timer);
+        worker.listening = true;
+        resolve(worker);
+      });
+      worker.once("exit", () => {
+        clearTimeout(timer);
+        reject(new Error(`worker ${worker.process.pid} exited before listening`));
+      });
+    });
+    // Only rollingRestart() awaits readiness, crashes of slot workers are handled by onExit
+    worker.ready.catch(() => {});
+
+    return worker;
+  }
+
+  onExit(worker, code, signal) {
+    const { slot } = worker;
+    if (slot.worker !== worker) return; // replaced during a rolling restart
+    slot.worker = null;
+
+    if (this.stopping || worker.stopping) return;
+
+    // Backoff grows with consecutive short-lived crashes
+    const uptime = Date.now() - worker.startedAt;
+    slot.crashes = uptime >= this.stableAfterMs ? 1 : slot.crashes + 1;
+    const delay = Math.min(this.restartDelayMs * 2 ** (slot.crashes - 1), this.maxRestartDelayMs);
+
+    this.logger.error(`worker ${worker.process.pid} died (${signal || `code ${code}`}), restarting in ${delay}ms`, {
+      service: "cluster",
+      slot: slot.index,
+      crashes: slot.crashes,
+      uptimeMs: uptime,
+    });
+
+    slot.timer = setTimeout(() => {
+      slot.timer = null;
+      if (this.stopping || slot.worker) return;
+      slot.restarts++;
+      slot.worker = this.spawn(slot);
+    }, delay);
+  }
+
+  // SIGTERM lets the worker's lifecycle drain in-flight requests; SIGKILL if it takes too long
+  stopWorker(worker) {
+    return new Promise((resolve) => {
+      if (worker.isDead()) return resolve();
+
+      worker.stopping = true;
+      const timer = setTimeout(() => {
+        this.logger.warn(`worker ${worker.process.pid} did not stop in time, killing it`, { service: "cluster" });
+        worker.process.kill("SIGKILL");
+      }, this.shutdownTimeoutMs);
+
+      worker.once("exit", () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      worker.process.kill("SIGTERM");
+    });
+  }
+
+  /**
+   * Replaces the workers one by one. Each replacement has to be listening
+   * before its predecessor drains, so capacity never drops by more than one
+   * worker and no connection is refused. Stops at the first replacement
+   * that fails to come up, leaving the remaining old workers serving.
+   */
+  async rollingRestart() {
+    if (this.restarting || this.stopping) return;
+    this.restarting = true;
+    this.logger.info("cluster rolling restart started", { service: "cluster" });
+
+    let replaced = 0;
+    try {
+      for (const slot of this.slots) {
+        if (this.stopping) break;
+
+        const previous = slot.worker;
+        clearTimeout(slot.timer);
+        slot.timer = null;
+
+        const next = this.spawn(slot);
+        // Nothing to hand over from: the slot is empty, so treat it like a crash restart
+        if (!previous) slot.worker = next;
+        try {
+          await next.ready;
+        } catch (err) {
+          this.logger.error(`cluster rolling restart aborted: ${err.message}`, { service: "cluster", slot: slot.index });
+          return;
+        }
+
+        // From here on the old worker's exit is expected and won't trigger a restart
+        slot.worker = next;
+        slot.crashes = 0;
+        if (previous) await this.stopWorker(previous);
+        replaced++;
+      }
+
+      this.logger.info(`cluster rolling restart finished, ${replaced} worker(s) replaced`, { service: "cluster" });
+    } finally {
+      this.restarting = false;
+    }
+  }
+
+  async shutdown(reason = "shutdown") {
+    if (this.stopping) return this.shutdownPromise;
+    this.stopping = true;
+
+    this.shutdownPromise = (async () => {
+      this.logger.info(`cluster shutting down (${reason})`, { service: "cluster" });
+      this.slots.forEach((slot) => clearTimeout(slot.timer));
+
+      await Promise.all(Object.values(cluster.workers).map((worker) => this.stopWorker(worker)));
+
+      if (this.statsServer) await new Promise((resolve) => this.statsServer.close(resolve));
+      if (this.signalHandlers) {
+        Object.entries(this.signalHandlers).forEach(([signal, handler]) => process.removeListener(signal, handler));
+      }
+
+      this.logger.info("cluster stopped", { service: "cluster" });
+      return 0;
+    })();
+
+    return this.shutdownPromise;
+  }
+
+  stats() {
+    const workers = this.slots.map((slot) => {
+      const { worker } = slot;
+      return {
+        slot: slot.index,
+        pid: worker ? worker.process.pid : null,
+        state: !worker ? (slot.timer ? "restarting" : "stopped") : worker.listening ? "listening" : "starting",
+        uptimeMs: worker ? Date.now() - worker.startedAt : 0,
+        restarts: slot.restarts,
+        ...(worker && worker.stats),
+      };
+    });
+
+    const sum = (field) => workers.reduce((total, worker) => total + (worker[field] || 0), 0);
+    return {
+      script: this.script,
+      workers,
+      totals: {
+        workers: workers.filter((worker) => worker.state === "listening").length,
+        requests: sum("requests"),
+        inFlight: sum("inFlight"),
+        restarts: sum("restarts"),
+        rssBytes: sum("rssBytes"),
+      },
+    };
+  }
+
+  logStats() {
+    const { workers, totals } = this.stats();
+    workers.forEach((worker) => this.logger.info(`worker ${worker.slot} stats`, { service: "cluster", ...worker }));
+    this.logger.info("cluster stats", { service: "cluster", ...totals });
+  }
+}
+
+/**
+ * Worker side: starts the app and reports stats to the primary.
+ * Also used directly when this file is the cluster's exec script.
+ */
+function runWorker(script, { statsIntervalMs = Number(process.env.CLUSTER_STATS_INTERVAL_MS) || 5000 } = {}) {
+  const appModule = require(path.resolve(script));
+  if (typeof appModule.start !== "function") {
+    throw new Error(`${script} must export start() to run in cluster mode`);
+  }
+
+  const server = appModule.start();
+  const counters = { requests: 0, statuses: {} };
+  server.on("request", (req, res) => {
+    counters.requests++;
+    res.once("finish", () => {
+      const statusClass = `${Math.floor(res.statusCode / 100)}xx`;
+      counters.statuses[statusClass] = (counters.statuses[statusClass] || 0) + 1;
+    });
+  });
+
+  const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+  eventLoopDelay.enable();
+
+  const report = () => {
+    if (!process.connected) return;
+    const memory = process.memoryUsage();
+    process.send({
+      type: STATS_MESSAGE,
+      stats: {
+        requests: counters.requests,
+        statuses: { ...counters.statuses },
+        inFlight: appModule.lifecycle ? appModule.lifecycle.inFlight() : undefined,
+        rssBytes: memory.rss,
+        heapUsedBytes: memory.heapUsed,
+        eventLoopLagP99Ms: Math.round(eventLoopDelay.percentile(99) / 1e4) / 100,
+      },
+    });
+    eventLoopDelay.reset();
+  };
+
+  server.once("listening", report);
+  setInterval(report, statsIntervalMs).unref();
+  return server;
+}
+
+const createCluster = (options) => new ClusterManager(options);
+
+if (require.main === module && cluster.isWorker) {
+  runWorker(process.argv[2]);
+}
+
+module.exports = { ClusterManager, createCluster, runWorker };
@@ -0,0 +1,61 @@
+const { createTracer } = require("./tracer");
+const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+
+/**
+ * The `datadog(handler, config)` wrapper from datadog-lambda-js, or a
+ * stand-in with the same signature when running offline:
+ *
+ *   DD_LAMBDA_WRAPPER=stub   always use the stand-in (local runs, tests)
+ *   (unset)                  datadog-lambda-js, or the stand-in when it isn't installed
+ *
+ * The stand-in traces each invocation as an "aws.lambda" span through the
+ * tracing facade (lib/tracer.js, TRACING_EXPORTER=memory to inspect them)
+ * tagged with the function name, request id and cold start, and otherwise
+ * calls the handler unchanged.
+ */
+
+function createDatadogStub({ tracer = createTracer({ exporter: process.env.TRACING_EXPORTER || "none" }) } = {}) {
+  let coldStart = true;
+
+  const datadog = (handler) => {
+    const wrapped = (event, context = {}) => {
+      const tags = {
+        "span.kind": "server",
+        cold_start: coldStart,
+        function_name: context.functionName,
+        request_id: context.awsRequestId,
+      };
+      coldStart = false;
+
+      return tracer.trace("aws.lambda", { tags }, () => {
+        // Callback-style handlers: (event, context, callback)
+        if (handler.length >= 3) {
+          return new Promise((resolve, reject) => {
+            const maybePromise = handler(event, context, (err, result) => (err ? reject(err) : resolve(result)));
+            if (maybePromise && typeof maybePromise.then === "function") maybePromise.then(resolve, reject);
+          });
+        }
+        return handler(event, context);
+      });
+    };
+    return wrapped;
+  };
+
+  datadog.tracer = tracer;
+  datadog.stub = true;
+  return datadog;
+}
+
+function loadDatadogWrapper({ mode = process.env.DD_LAMBDA_WRAPPER, logger = new Logger() } = {}) {
+  if (mode === "stub") return createDatadogStub();
+
+  try {
+    return require("datadog-lambda-js").datadog;
+  } catch (err) {
+    if (err.code !== "MODULE_NOT_FOUND") throw err;
+    logger.warn("datadog-lambda-js is not installed, running the handlers without it (npm install datadog-lambda-js)");
+    return createDatadogStub();
+  }
+}
+
+module.exports = { loadDatadogWrapper, createDatadogStub };
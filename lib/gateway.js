@@ -0,0 +1,412 @@
+/**
+ * API gateway building blocks for the WebServer middleware chain in
+ * DesignPatterns/6-middleware-pattern.js (middleware signature: (req, next)).
+ *
+ * A middleware answers a request by setting req.response = { status,
+ * headers, body } and not calling next(); throwing an HttpError (see
+ * lib/httpErrors.js) answers with a problem+json document instead.
+ * createHttpHandler() turns the chain into a Node http request listener.
+ */
+
+const crypto = require("crypto");
+const jwt = require("./jwt");
+const { CircuitBreaker } = require("./circuitBreaker");
+const {
+  HttpError,
+  UnauthorizedError,
+  NotFoundError,
+  PayloadTooLargeError,
+  BadGatewayError,
+  GatewayTimeoutError,
+} = require("./httpErrors");
+const { tracedFetch } = require("./tracer");
+const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+
+// Connection-level headers that must not be forwarded (RFC 9110 section 7.6.1)
+const HOP_BY_HOP = new Set([
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+  "host",
+  "content-length",
+]);
+
+// Identity the gateway vouches for: only ever set from the verified req.user,
+// never passed through from the client
+const IDENTITY = ["x-user-id", "x-user-role"];
+const DROP_FROM_CLIENT = new Set([...HOP_BY_HOP, ...IDENTITY]);
+
+// fetch() decompresses bodies, so the upstream's encoding/length no longer apply
+const DROP_FROM_UPSTREAM = new Set([...HOP_BY_HOP, "content-encoding"]);
+
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const filterHeaders = (headers, drop) =>
+  Object.fromEntries(Object.entries(headers).filter(([name]) => !drop.has(name.toLowerCase())));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const lowerCaseKeys = (headers = {}) =>
+  Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+const problemFor = (err, req) => {
+  const httpError = err instanceof HttpError ? err : new HttpError(500, "Internal server error");
+  return {
+    status: httpError.status,
+    headers: { ...httpError.headers, "Content-Type": "application/problem+json" },
+    body: {
+      type: httpError.type,
+      title: httpError.title,
+      status: httpError.status,
+      detail: httpError.message,
+      instance: req.path,
+      ...httpError.extensions,
+    },
+  };
+};
+
+/**
+ * A backend service behind the gateway, with its own circuit breaker.
+ * Network errors, timeouts and 5xx answers count as failures. With a
+ * tracer, each call is a client span carrying the trace context upstream.
+ */
+class Upstream {
+  /**
+   * @param {string} name
+   * @param {object} options
+   * @param {string} options.url          base URL, e.g. http://localhost:3111
+   * @param {number} [options.timeoutMs]
+   * @param {object} [options.breaker]    CircuitBreaker options
+   * @param {Logger} [options.logger]
+   * @param {import("./tracer").Tracer} [options.tracer]
+   */
+  constructor(name, { url, timeoutMs = 5000, breaker = {}, logger = new Logger(), tracer = null }) {
+    this.name = name;
+    this.url = url.replace(/\/$/, "");
+    this.timeoutMs = timeoutMs;
+    this.fetch = tracer ? tracedFetch(tracer) : (input, init) => fetch(input, init);
+    this.breaker = new CircuitBreaker({
+      name,
+      isFailure: (response) => response.status >= 500,
+      onStateChange: (state, previous) =>
+        logger.warn(`upstream ${name} circuit ${previous} -> ${state}`, { upstream: name, state }),
+      ...breaker,
+    });
+  }
+
+  // Resolves to { status, headers, body: Buffer }; throws HttpErrors (502, 503, 504)
+  async request({ method = "GET", path, headers = {}, body }) {
+    return this.breaker.exec(async () => {
+      let res;
+      try {
+        res = await this.fetch(`${this.url}${path}`, {
+          method,
+          headers,
+          body: body && body.length && method !== "GET" && method !== "HEAD" ? body : undefined,
+          redirect: "manual",
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+      } catch (err) {
+        if (err.name === "TimeoutError") {
+          throw new GatewayTimeoutError(`${this.name} did not answer within ${this.timeoutMs}ms`);
+        }
+        throw new BadGatewayError(`${this.name} is unreachable (${(err.cause && err.cause.code) || err.message})`);
+      }
+
+      const responseHeaders = {};
+      res.headers.forEach((value, name) => {
+        if (!DROP_FROM_UPSTREAM.has(name)) responseHeaders[name] = value;
+      });
+      const cookies = res.headers.getSetCookie ? res.headers.getSetCookie() : [];
+      if (cookies.length) responseHeaders["set-cookie"] = cookies;
+
+      return { status: res.status, headers: responseHeaders, body: Buffer.from(await res.arrayBuffer()) };
+    });
+  }
+}
+
+const createUpstreams = (definitions, options = {}) =>
+  Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [name, new Upstream(name, { ...options, ...definition })])
+  );
+
+// Headers sent upstream: the client's, minus hop-by-hop and identity ones, plus forwarding info and identity
+function forwardHeaders(req) {
+  const headers = filterHeaders(req.headers, DROP_FROM_CLIENT);
+  headers["x-request-id"] = req.id;
+  headers["x-forwarded-for"] = req.headers["x-forwarded-for"] ? `${req.headers["x-forwarded-for"]}, ${req.ip}` : req.ip;
+  headers["x-forwarded-host"] = req.headers.host || "";
+  headers["x-forwarded-proto"] = req.protocol || "http";
+  if (req.user) {
+    headers["x-user-id"] = String(req.user.sub);
+    headers["x-user-role"] = String(req.user.role || "");
+  }
+  return headers;
+}
+
+/**
+ * Central authentication: verifies the Bearer JWT once at the edge and puts
+ * the claims on req.user (forwarded upstream as X-User-Id / X-User-Role).
+ * Paths starting with one of `publicPaths` don't need a token.
+ *
+ * Only the signature and expiry are checked here; services that can revoke
+ * tokens (the products API) still verify them themselves.
+ */
+function authenticate({ secret, publicPaths = [] }) {
+  if (!secret) throw new Error("Gateway authentication needs the JWT secret shared with the services (JWT_SECRET)");
+
+  return async (req, next) => {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+    if (scheme === "Bearer" && token) {
+      try {
+        req.user = jwt.verify(token, secret);
+      } catch (err) {
+        throw new UnauthorizedError(err.code === "expired" ? "Token expired" : "Invalid token", {
+          headers: { "WWW-Authenticate": 'Bearer error="invalid_token"' },
+        });
+      }
+    } else if (!publicPaths.some((prefix) => req.path.startsWith(prefix))) {
+      throw new UnauthorizedError("No token provided");
+    }
+
+    await next();
+  };
+}
+
+/**
+ * /health/live and /health/ready for the gateway itself. Ready fails while
+ * shutting down or when every upstream circuit is open.
+ */
+function health({ upstreams, isShuttingDown = () => false }) {
+  return async (req, next) => {
+    if (req.method !== "GET" || !req.path.startsWith("/health")) return next();
+
+    const circuits = Object.fromEntries(Object.values(upstreams).map((upstream) => [upstream.name, upstream.breaker.stats()]));
+
+    if (req.path === "/health" || req.path === "/health/live") {
+      req.response = { status: 200, body: { status: "pass", service: "gateway", uptime: process.uptime() } };
+      return;
+    }
+
+    if (req.path === "/health/ready") {
+      const allOpen = Object.values(circuits).every((circuit) => circuit.state === "open");
+      const status = isShuttingDown() ? "shutting_down" : allOpen ? "fail" : "pass";
+      req.response = {
+        status: status === "pass" ? 200 : 503,
+        headers: { "Cache-Control": "no-store" },
+        body: { status, service: "gateway", upstreams: circuits },
+      };
+      return;
+    }
+
+    await next();
+  };
+}
+
+/**
+ * Forwards requests by path prefix:
+ *
+ *   proxy([{ prefix: "/api/products", upstream: "products", target: "/products" }], upstreams)
+ *
+ * GET /api/products/2?x=1 -> products: GET /products/2?x=1. `target`
+ * defaults to the prefix itself.
+ */
+function proxy(routes, upstreams) {
+  for (const route of routes) {
+    if (!upstreams[route.upstream]) throw new Error(`Unknown upstream "${route.upstream}" for ${route.prefix}`);
+  }
+
+  return async (req, next) => {
+    const route = routes.find(({ prefix }) => req.path === prefix || req.path.startsWith(`${prefix}/`));
+    if (!route) return next();
+
+    const target = route.target !== undefined ? route.target : route.prefix;
+    const upstreamResponse = await upstreams[route.upstream].request({
+      method: req.method,
+      path: `${target}${req.url.slice(route.prefix.length)}`,
+      headers: forwardHeaders(req),
+      body: req.body,
+    });
+
+    // Links and redirects point at upstream paths: map them back under the prefix
+    for (const name of ["location", "content-location", "link"]) {
+      const value = upstreamResponse.headers[name];
+      if (value && target !== route.prefix) {
+        upstreamResponse.headers[name] = value.replace(new RegExp(`(^|<)${escapeRegExp(target)}(?=[/?#>]|$)`, "g"), `$1${route.prefix}`);
+      }
+    }
+
+    req.upstream = route.upstream;
+    req.response = upstreamResponse;
+  };
+}
+
+/**
+ * Composite GET endpoints: calls several upstreams in parallel and merges
+ * the JSON answers under their source names.
+ *
+ *   aggregate([{ path: "/api/overview", sources: {
+ *     products: { upstream: "products", path: "/products?sort=-price&limit=5" },
+ *     users: { upstream: "users", path: "/users?limit=5" },
+ *   } }], upstreams)
+ *
+ * -> 200 { data: { products: [...], users: [...] } }
+ *
+ * A failing source doesn't fail the whole response: it's reported under
+ * `errors` (with its status and detail) and the rest is still returned.
+ * Only when every source fails does the gateway answer 502.
+ */
+function aggregate(definitions, upstreams) {
+  return async (req, next) => {
+    const definition = definitions.find(({ path }) => path === req.path);
+    if (!definition || req.method !== "GET") return next();
+
+    const headers = forwardHeaders(req);
+    const entries = await Promise.all(
+      Object.entries(definition.sources).map(async ([name, source]) => {
+        try {
+          const res = await upstreams[source.upstream].request({ path: source.path, headers });
+          const body = res.body.length ? JSON.parse(res.body.toString("utf8")) : null;
+          if (res.status >= 400) {
+            return [name, { error: { status: res.status, detail: (body && body.detail) || `${source.upstream} answered ${res.status}` } }];
+          }
+          return [name, { data: body }];
+        } catch (err) {
+          const status = err instanceof HttpError ? err.status : 502;
+          return [name, { error: { status, detail: err instanceof SyntaxError ? "Invalid JSON from upstream" : err.message } }];
+        }
+      })
+    );
+
+    const data = {};
+    const errors = {};
+    for (const [name, result] of entries) {
+      if (result.error) errors[name] = result.error;
+      else data[name] = result.data;
+    }
+
+    if (!Object.keys(data).length) {
+      throw new BadGatewayError("Every source of this aggregate failed", { extensions: { errors } });
+    }
+
+    req.response = { status: 200, body: Object.keys(errors).length ? { data, errors } : { data } };
+  };
+}
+
+/**
+ * Node http listener running a WebServer chain. Builds the request object
+ * the chain works on ({ id, method, url, path, query, headers, ip, body })
+ * and writes req.response, merged with req.responseHeaders (e.g. the
+ * RateLimit-* headers), back to the client. With a tracer, each request
+ * is a server span (continuing the caller's trace) that the upstream calls
+ * made while handling it are children of.
+ *
+ * @param {WebServer} webServer
+ * @param {object} [options]
+ * @param {number} [options.maxBodyBytes]
+ * @param {Logger} [options.logger]
+ * @param {import("./tracer").Tracer} [options.tracer]
+ */
+function createHttpHandler(webServer, { maxBodyBytes = 1024 * 1024, logger = new Logger(), tracer = null } = {}) {
+  const readBody = (incoming) =>
+    new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      incoming.on("data", (chunk) => {
+        size += chunk.length;
+        // Keep draining so the client gets the 413 instead of a reset connection
+        if (size > maxBodyBytes) return reject(new PayloadTooLargeError(`Body exceeds ${maxBodyBytes} bytes`));
+        chunks.push(chunk);
+      });
+      incoming.on("end", () => resolve(Buffer.concat(chunks)));
+      incoming.on("error", reject);
+    });
+
+  return async (incoming, outgoing) => {
+    const start = process.hrtime.bigint();
+    const url = new URL(incoming.url, "http://gateway.local");
+    const requestId = incoming.headers["x-request-id"];
+
+    const req = {
+      id: requestId && VALID_REQUEST_ID.test(requestId) ? requestId : crypto.randomUUID(),
+      method: incoming.method,
+      url: incoming.url,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: incoming.headers,
+      ip: incoming.socket.remoteAddress,
+      protocol: incoming.socket.encrypted ? "https" : "http",
+      socket: incoming.socket,
+      body: Buffer.alloc(0),
+    };
+
+    const span =
+      tracer &&
+      tracer.startSpan("gateway.request", {
+        childOf: tracer.extract(incoming.headers),
+        tags: { "span.kind": "server", "http.method": req.method, "http.url": req.path, "request.id": req.id },
+      });
+
+    let response;
+    try {
+      req.body = await readBody(incoming);
+      await (span ? tracer.withSpan(span, () => webServer.handleRequest(req)) : webServer.handleRequest(req));
+      response = req.response || problemFor(new NotFoundError(`Cannot ${req.method} ${req.path}`), req);
+    } catch (err) {
+      if (!(err instanceof HttpError) || err.status >= 500) {
+        logger.error(`gateway ${req.method} ${req.path} failed: ${err.message}`, { requestId: req.id });
+      }
+      response = problemFor(err, req);
+    }
+
+    // The gateway's own headers (its RateLimit-* ones) win over the upstream's
+    const headers = lowerCaseKeys({ ...lowerCaseKeys(response.headers), ...lowerCaseKeys(req.responseHeaders) });
+    headers["x-request-id"] = req.id;
+    let body = response.body === undefined ? "" : response.body;
+    if (!Buffer.isBuffer(body) && typeof body !== "string") {
+      body = JSON.stringify(body);
+      if (!headers["content-type"]) headers["content-type"] = "application/json; charset=utf-8";
+    }
+
+    outgoing.writeHead(response.status, headers);
+    outgoing.end(req.method === "HEAD" ? undefined : body);
+
+    if (span) {
+      // The path is unbounded; name the span after the upstream, like the tracing middleware does with routes
+      span.setName(req.upstream ? `${req.method} ${req.upstream}` : req.method);
+      if (req.upstream) span.setTag("gateway.upstream", req.upstream);
+      span.setTag("http.status_code", response.status);
+      if (response.status >= 500) span.setTag("error", true);
+      span.finish();
+    }
+
+    const latencyMs = Math.round((Number(process.hrtime.bigint() - start) / 1e6) * 1000) / 1000;
+    const level = response.status >= 500 ? "error" : response.status >= 400 ? "warn" : "info";
+    logger.log(`${req.method} ${req.url} ${response.status} ${latencyMs}ms`, level, {
+      type: "request",
+      requestId: req.id,
+      method: req.method,
+      path: req.url,
+      status: response.status,
+      latencyMs,
+      upstream: req.upstream,
+      user: req.user ? req.user.sub : undefined,
+    });
+  };
+}
+
+module.exports = {
+  Upstream,
+  createUpstreams,
+  authenticate,
+  health,
+  proxy,
+  aggregate,
+  createHttpHandler,
+};
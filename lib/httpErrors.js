@@ -0,0 +1,117 @@
+const http = require("http");
+
+/**
+ * Typed HTTP errors. Throw them (or pass them to next()) anywhere in a route
+ * and middleware/error.middleware.js turns them into an RFC 7807
+ * application/problem+json response.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} [detail]            human readable explanation for this occurrence
+   * @param {object} [options]
+   * @param {string} [options.type]      problem type URI (default about:blank)
+   * @param {object} [options.extensions] extra members for the problem body
+   * @param {object} [options.headers]   response headers (e.g. WWW-Authenticate)
+   */
+  constructor(status, detail, { type = "about:blank", extensions, headers } = {}) {
+    super(detail || http.STATUS_CODES[status]);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.title = http.STATUS_CODES[status] || "Error";
+    this.type = type;
+    this.extensions = extensions || {};
+    this.headers = headers || {};
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(detail = "Bad request", options) {
+    super(400, detail, options);
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(detail = "Authentication required", options = {}) {
+    super(401, detail, { headers: { "WWW-Authenticate": "Bearer" }, ...options });
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(detail = "Forbidden", options) {
+    super(403, detail, options);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(detail = "Resource not found", options) {
+    super(404, detail, options);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(detail = "Conflict", options) {
+    super(409, detail, options);
+  }
+}
+
+class PreconditionFailedError extends HttpError {
+  constructor(detail = "Precondition failed", options) {
+    super(412, detail, options);
+  }
+}
+
+class PayloadTooLargeError extends HttpError {
+  constructor(detail = "Payload too large", options) {
+    super(413, detail, options);
+  }
+}
+
+// `errors` lists every failing field: [{ field, rule, message }]
+class ValidationError extends HttpError {
+  constructor(errors = [], detail = "Validation failed", options = {}) {
+    super(422, detail, { ...options, extensions: { errors, ...options.extensions } });
+    this.errors = errors;
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(detail = "Too many requests", options) {
+    super(429, detail, options);
+  }
+}
+
+// Upstream answered with garbage or couldn't be reached (gateway/proxy)
+class BadGatewayError extends HttpError {
+  constructor(detail = "Bad gateway", options) {
+    super(502, detail, options);
+  }
+}
+
+class ServiceUnavailableError extends HttpError {
+  constructor(detail = "Service unavailable", options) {
+    super(503, detail, options);
+  }
+}
+
+class GatewayTimeoutError extends HttpError {
+  constructor(detail = "Upstream timed out", options) {
+    super(504, detail, options);
+  }
+}
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  ValidationError,
+  TooManyRequestsError,
+  BadGatewayError,
+  ServiceUnavailableError,
+  GatewayTimeoutError,
+};
@@ -0,0 +1,78 @@
+const crypto = require("crypto");
+
+/**
+ * Minimal HS256 JSON Web Tokens (RFC 7519) built on node:crypto, so the API
+ * can sign and verify its own tokens without an external identity provider.
+ */
+
+class JwtError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "JwtError";
+    this.code = code; // "malformed" | "invalid_signature" | "expired" | "not_active"
+  }
+}
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decode = (segment) => JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+const signature = (input, secret) =>
+  crypto.createHmac("sha256", secret).update(input).digest("base64url");
+
+/**
+ * @param {object} payload  claims to embed (sub, role, ...)
+ * @param {string} secret
+ * @param {object} [options]
+ * @param {number} [options.expiresIn]  lifetime in seconds
+ * @param {number} [options.now]        current time in ms, for tests
+ */
+function sign(payload, secret, { expiresIn, now = Date.now() } = {}) {
+  const iat = Math.floor(now / 1000);
+  const claims = { ...payload, iat };
+  if (expiresIn !== undefined) claims.exp = iat + expiresIn;
+
+  const input = `${encode(HEADER)}.${encode(claims)}`;
+  return `${input}.${signature(input, secret)}`;
+}
+
+/**
+ * Returns the claims of a valid token, throws JwtError otherwise.
+ */
+function verify(token, secret, { now = Date.now(), clockTolerance = 0 } = {}) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) throw new JwtError("Malformed token", "malformed");
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  let header;
+  let claims;
+  try {
+    header = decode(headerSegment);
+    claims = decode(payloadSegment);
+  } catch (err) {
+    throw new JwtError("Malformed token", "malformed");
+  }
+
+  // Only accept what we issue: never let the token pick "none" or another alg
+  if (header.alg !== HEADER.alg) throw new JwtError("Unsupported algorithm", "malformed");
+
+  const expected = Buffer.from(signature(`${headerSegment}.${payloadSegment}`, secret));
+  const actual = Buffer.from(signatureSegment);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new JwtError("Invalid signature", "invalid_signature");
+  }
+
+  const seconds = Math.floor(now / 1000);
+  if (claims.exp !== undefined && seconds > claims.exp + clockTolerance) {
+    throw new JwtError("Token expired", "expired");
+  }
+  if (claims.nbf !== undefined && seconds + clockTolerance < claims.nbf) {
+    throw new JwtError("Token not active yet", "not_active");
+  }
+
+  return claims;
+}
+
+module.exports = { sign, verify, JwtError };
@@ -0,0 +1,146 @@
+const http = require("http");
+
+/**
+ * Runs an Express app (or any http request listener) as a Lambda handler
+ * behind API Gateway, REST (payload 1.0) or HTTP API (payload 2.0):
+ *
+ *   const { app } = require("./express");
+ *   exports.handler = createLambdaHandler(app);
+ *
+ * The app is served on a loopback port opened on the first invocation and
+ * reused while the container stays warm; each event becomes a real HTTP
+ * request to it, so middleware sees exactly what it sees behind a normal
+ * listener. The Lambda request id is sent as X-Request-Id unless the client
+ * sent one.
+ */
+
+// Response bodies of these types go back as text, everything else base64-encoded
+const TEXT_TYPES = /^(text\/|application\/([\w.+-]*\+)?(json|xml|javascript|x-www-form-urlencoded))/i;
+
+const HOP_BY_HOP = new Set(["connection", "keep-alive", "transfer-encoding"]);
+
+const isHttpApi = (event) => event.version === "2.0";
+
+function toRequest(event, context) {
+  const headers = {};
+  let method;
+  let path;
+
+  if (isHttpApi(event)) {
+    method = event.requestContext.http.method;
+    path = event.rawQueryString ? `${event.rawPath}?${event.rawQueryString}` : event.rawPath;
+    Object.assign(headers, event.headers);
+    if (event.cookies && event.cookies.length) headers.cookie = event.cookies.join("; ");
+  } else {
+    method = event.httpMethod;
+    const query = new URLSearchParams();
+    const multi = event.multiValueQueryStringParameters;
+    const single = event.queryStringParameters;
+    if (multi) {
+      for (const [name, values] of Object.entries(multi)) values.forEach((value) => query.append(name, value));
+    } else if (single) {
+      for (const [name, value] of Object.entries(single)) query.append(name, value);
+    }
+    const queryString = query.toString();
+    path = queryString ? `${event.path}?${queryString}` : event.path;
+
+    if (event.multiValueHeaders) {
+      for (const [name, values] of Object.entries(event.multiValueHeaders)) headers[name.toLowerCase()] = values.join(", ");
+    } else {
+      for (const [name, value] of Object.entries(event.headers || {})) headers[name.toLowerCase()] = value;
+    }
+  }
+
+  const body = event.body ? Buffer.from(event.body, event.isBase64Encoded ? "base64" : "utf8") : Buffer.alloc(0);
+  const sourceIp = isHttpApi(event)
+    ? event.requestContext.http.sourceIp
+    : event.requestContext && event.requestContext.identity && event.requestContext.identity.sourceIp;
+
+  if (sourceIp) headers["x-forwarded-for"] = headers["x-forwarded-for"] ? `${headers["x-forwarded-for"]}, ${sourceIp}` : sourceIp;
+  if (!headers["x-request-id"] && context && context.awsRequestId) headers["x-request-id"] = context.awsRequestId;
+  headers["content-length"] = String(body.length);
+  delete headers["transfer-encoding"];
+
+  return { method, path, headers, body };
+}
+
+function toResponse(event, { status, headers, body }) {
+  const contentType = headers["content-type"] || "";
+  const binary = body.length > 0 && !TEXT_TYPES.test(contentType);
+  const responseBody = binary ? body.toString("base64") : body.toString("utf8");
+
+  if (isHttpApi(event)) {
+    const single = {};
+    let cookies;
+    for (const [name, value] of Object.entries(headers)) {
+      if (HOP_BY_HOP.has(name)) continue;
+      if (name === "set-cookie") cookies = [].concat(value);
+      else single[name] = Array.isArray(value) ? value.join(", ") : String(value);
+    }
+    const response = { statusCode: status, headers: single, body: responseBody, isBase64Encoded: binary };
+    if (cookies) response.cookies = cookies;
+    return response;
+  }
+
+  // REST APIs merge `headers` into `multiValueHeaders`, so only send the latter
+  const multiValueHeaders = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HOP_BY_HOP.has(name)) multiValueHeaders[name] = [].concat(value).map(String);
+  }
+  return { statusCode: status, multiValueHeaders, body: responseBody, isBase64Encoded: binary };
+}
+
+/**
+ * @param {Function} app  Express app or (req, res) listener
+ * @returns {Function}    async (event, context) handler, plus handler.close()
+ */
+function createLambdaHandler(app) {
+  let listening;
+
+  const listen = () => {
+    if (!listening) {
+      listening = new Promise((resolve, reject) => {
+        const server = http.createServer(app);
+        server.once("error", reject);
+        server.listen(0, "127.0.0.1", () => {
+          // Don't keep a local process (tests, scripts/invoke-lambda.js) alive
+          server.unref();
+          resolve(server);
+        });
+      });
+    }
+    return listening;
+  };
+
+  const send = (port, { method, path, headers, body }) =>
+    new Promise((resolve, reject) => {
+      const req = http.request({ host: "127.0.0.1", port, method, path, headers, agent: false }, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        res.on("error", reject);
+      });
+      req.on("error", reject);
+      req.end(body);
+    });
+
+  const handler = async (event, context) => {
+    if (!event || !(event.httpMethod || (event.requestContext && event.requestContext.http))) {
+      throw new Error("Not an API Gateway event (payload format 1.0 or 2.0)");
+    }
+    const server = await listen();
+    const response = await send(server.address().port, toRequest(event, context));
+    return toResponse(event, response);
+  };
+
+  handler.close = async () => {
+    if (!listening) return;
+    const server = await listening;
+    listening = null;
+    await new Promise((resolve) => server.close(resolve));
+  };
+
+  return handler;
+}
+
+module.exports = { createLambdaHandler, toRequest, toResponse };
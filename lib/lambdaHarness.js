@@ -0,0 +1,285 @@
+const crypto = require("crypto");
+
+/**
+ * Runs Lambda handlers locally: builds the context object Lambda passes in,
+ * enforces the function timeout and reports cold starts, so a handler can be
+ * exercised without deploying it.
+ *
+ *   const { invoke, events } = require("./lib/lambdaHarness");
+ *   const { handler } = require("./datadog-lambda");
+ *
+ *   const { result, coldStart, durationMs } = await invoke(handler, events.apiGatewayV2({ path: "/users" }));
+ *
+ * Sample events follow the payloads AWS sends; every builder takes
+ * overrides for the fields tests usually care about.
+ */
+
+const DEFAULTS = {
+  functionName: "local-function",
+  functionVersion: "$LATEST",
+  memoryLimitInMB: 128,
+  timeoutMs: 3000,
+  region: "us-east-1",
+  accountId: "123456789012",
+};
+
+// Handlers that already ran once in this process: the next invocation is warm
+const warmHandlers = new WeakSet();
+
+class LambdaTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Task timed out after ${(timeoutMs / 1000).toFixed(2)} seconds`);
+    this.name = "LambdaTimeoutError";
+  }
+}
+
+/**
+ * The `context` argument of a handler.
+ *
+ * @param {object} [options]
+ * @param {string} [options.functionName]
+ * @param {string} [options.functionVersion]
+ * @param {number} [options.memoryLimitInMB]
+ * @param {number} [options.timeoutMs]      function timeout, drives getRemainingTimeInMillis()
+ * @param {string} [options.awsRequestId]
+ * @param {string} [options.region]
+ * @param {string} [options.accountId]
+ * @param {() => number} [options.now]
+ */
+function createContext(options = {}) {
+  const { functionName, functionVersion, memoryLimitInMB, timeoutMs, region, accountId } = { ...DEFAULTS, ...options };
+  const now = options.now || (() => Date.now());
+  const deadline = now() + timeoutMs;
+  const awsRequestId = options.awsRequestId || crypto.randomUUID();
+  const today = new Date().toISOString().slice(0, 10).replace(/-/g, "/");
+
+  return {
+    functionName,
+    functionVersion,
+    memoryLimitInMB: String(memoryLimitInMB),
+    invokedFunctionArn: `arn:aws:lambda:${region}:${accountId}:function:${functionName}`,
+    awsRequestId,
+    logGroupName: `/aws/lambda/${functionName}`,
+    logStreamName: `${today}/[${functionVersion}]${crypto.randomBytes(16).toString("hex")}`,
+    callbackWaitsForEmptyEventLoop: true,
+    getRemainingTimeInMillis: () => Math.max(0, deadline - now()),
+  };
+}
+
+// Async handlers return a promise; older ones take (event, context, callback)
+function callHandler(handler, event, context) {
+  if (handler.length >= 3) {
+    return new Promise((resolve, reject) => {
+      const maybePromise = handler(event, context, (err, result) => (err ? reject(err) : resolve(result)));
+      if (maybePromise && typeof maybePromise.then === "function") maybePromise.then(resolve, reject);
+    });
+  }
+  return Promise.resolve().then(() => handler(event, context));
+}
+
+/**
+ * Invokes `handler` like the Lambda runtime would.
+ *
+ * Resolves to { result, error, coldStart, durationMs, billedDurationMs,
+ * requestId }: a handler that throws, rejects, calls back with an error or
+ * runs past the timeout gives `error` instead of rejecting, mirroring the
+ * error payload Lambda returns ({ errorType, errorMessage, stack }).
+ * A timed-out handler keeps running in the background; Lambda would freeze it.
+ *
+ * @param {Function} handler
+ * @param {object} event
+ * @param {object} [options]  createContext() options
+ */
+async function invoke(handler, event, options = {}) {
+  const context = createContext(options);
+  const timeoutMs = options.timeoutMs || DEFAULTS.timeoutMs;
+  const coldStart = !warmHandlers.has(handler);
+  warmHandlers.add(handler);
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new LambdaTimeoutError(timeoutMs)), timeoutMs);
+  });
+
+  const started = process.hrtime.bigint();
+  let result;
+  let error;
+  try {
+    result = await Promise.race([callHandler(handler, event, context), timeout]);
+  } catch (err) {
+    error = {
+      errorType: (err && err.name) || "Error",
+      errorMessage: err && err.message !== undefined ? err.message : String(err),
+      stack: err && err.stack ? err.stack.split("\n").slice(1).map((line) => line.trim()) : [],
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+  return {
+    result,
+    error,
+    coldStart,
+    durationMs: Math.round(durationMs * 100) / 100,
+    billedDurationMs: Math.max(1, Math.ceil(durationMs)),
+    requestId: context.awsRequestId,
+  };
+}
+
+// Forget which handlers ran, so the next invoke() is a cold start again
+function resetColdStarts(handler) {
+  warmHandlers.delete(handler);
+}
+
+const splitUrl = (url) => {
+  const [path, queryString = ""] = url.split("?");
+  return { path, queryString, params: new URLSearchParams(queryString) };
+};
+
+const encodeBody = (body) => (body === undefined || body === null || typeof body === "string" ? body : JSON.stringify(body));
+
+const events = {
+  /**
+   * REST API (payload format 1.0).
+   * @param {object} [options]  method, path (may include ?query), headers, body, pathParameters, stage
+   */
+  apiGatewayV1({ method = "GET", path = "/", headers = {}, body, pathParameters = null, stage = "dev" } = {}) {
+    const { path: rawPath, params } = splitUrl(path);
+    const query = {};
+    const multiQuery = {};
+    for (const [name, value] of params) {
+      query[name] = value;
+      (multiQuery[name] = multiQuery[name] || []).push(value);
+    }
+    const allHeaders = { Host: "abc123.execute-api.us-east-1.amazonaws.com", "User-Agent": "lambda-harness", ...headers };
+    const encoded = encodeBody(body);
+    if (encoded && !Object.keys(allHeaders).some((name) => name.toLowerCase() === "content-type")) {
+      allHeaders["Content-Type"] = "application/json";
+    }
+
+    return {
+      resource: "/{proxy+}",
+      path: rawPath,
+      httpMethod: method.toUpperCase(),
+      headers: allHeaders,
+      multiValueHeaders: Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name, [value]])),
+      queryStringParameters: params.size ? query : null,
+      multiValueQueryStringParameters: params.size ? multiQuery : null,
+      pathParameters: pathParameters || { proxy: rawPath.replace(/^\//, "") },
+      stageVariables: null,
+      requestContext: {
+        accountId: DEFAULTS.accountId,
+        apiId: "abc123",
+        resourcePath: "/{proxy+}",
+        httpMethod: method.toUpperCase(),
+        path: `/${stage}${rawPath}`,
+        stage,
+        requestId: crypto.randomUUID(),
+        requestTimeEpoch: Date.now(),
+        identity: { sourceIp: "127.0.0.1", userAgent: allHeaders["User-Agent"] },
+      },
+      body: encoded === undefined ? null : encoded,
+      isBase64Encoded: false,
+    };
+  },
+
+  /**
+   * HTTP API (payload format 2.0).
+   * @param {object} [options]  method, path (may include ?query), headers, cookies, body, stage
+   */
+  apiGatewayV2({ method = "GET", path = "/", headers = {}, cookies, body, stage = "$default" } = {}) {
+    const { path: rawPath, queryString, params } = splitUrl(path);
+    const allHeaders = Object.fromEntries(
+      Object.entries({ host: "abc123.execute-api.us-east-1.amazonaws.com", "user-agent": "lambda-harness", ...headers }).map(
+        ([name, value]) => [name.toLowerCase(), value]
+      )
+    );
+    const encoded = encodeBody(body);
+    if (encoded && !allHeaders["content-type"]) allHeaders["content-type"] = "application/json";
+
+    const event = {
+      version: "2.0",
+      routeKey: "$default",
+      rawPath,
+      rawQueryString: queryString,
+      headers: allHeaders,
+      requestContext: {
+        accountId: DEFAULTS.accountId,
+        apiId: "abc123",
+        domainName: allHeaders.host,
+        http: {
+          method: method.toUpperCase(),
+          path: rawPath,
+          protocol: "HTTP/1.1",
+          sourceIp: "127.0.0.1",
+          userAgent: allHeaders["user-agent"],
+        },
+        requestId: crypto.randomUUID(),
+        routeKey: "$default",
+        stage,
+        timeEpoch: Date.now(),
+      },
+      isBase64Encoded: false,
+    };
+    // Repeated query parameters are joined with commas in format 2.0
+    if (params.size) {
+      event.queryStringParameters = {};
+      for (const [name, value] of params) {
+        event.queryStringParameters[name] = event.queryStringParameters[name] ? `${event.queryStringParameters[name]},${value}` : value;
+      }
+    }
+    if (cookies) event.cookies = cookies;
+    if (encoded !== undefined && encoded !== null) event.body = encoded;
+    return event;
+  },
+
+  /**
+   * SQS batch: one record per message body (objects are JSON-encoded).
+   * @param {Array} messages
+   * @param {object} [options]  queueName
+   */
+  sqs(messages = [{}], { queueName = "local-queue" } = {}) {
+    return {
+      Records: messages.map((message) => {
+        const body = typeof message === "string" ? message : JSON.stringify(message);
+        return {
+          messageId: crypto.randomUUID(),
+          receiptHandle: crypto.randomBytes(32).toString("base64"),
+          body,
+          attributes: {
+            ApproximateReceiveCount: "1",
+            SentTimestamp: String(Date.now()),
+            SenderId: DEFAULTS.accountId,
+            ApproximateFirstReceiveTimestamp: String(Date.now()),
+          },
+          messageAttributes: {},
+          md5OfBody: crypto.createHash("md5").update(body).digest("hex"),
+          eventSource: "aws:sqs",
+          eventSourceARN: `arn:aws:sqs:${DEFAULTS.region}:${DEFAULTS.accountId}:${queueName}`,
+          awsRegion: DEFAULTS.region,
+        };
+      }),
+    };
+  },
+
+  /**
+   * EventBridge event.
+   * @param {object} [options]  source, detailType, detail, resources
+   */
+  eventBridge({ source = "local.app", detailType = "LocalEvent", detail = {}, resources = [] } = {}) {
+    return {
+      version: "0",
+      id: crypto.randomUUID(),
+      "detail-type": detailType,
+      source,
+      account: DEFAULTS.accountId,
+      time: new Date().toISOString().replace(/\.\d{3}Z$/, "Z"),
+      region: DEFAULTS.region,
+      resources,
+      detail,
+    };
+  },
+};
+
+module.exports = { createContext, invoke, resetColdStarts, events, LambdaTimeoutError };
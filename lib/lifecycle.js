@@ -0,0 +1,239 @@
+const express = require("express");
+const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Health endpoints and graceful shutdown for an Express app.
+ *
+ *   GET /health/live   200 while the process is up (restart me if this fails)
+ *   GET /health/ready  200 when every registered check passes and we're not
+ *                      shutting down, 503 otherwise (stop sending me traffic)
+ *   GET /health        alias of /health/live
+ *
+ * On SIGTERM/SIGINT: readiness flips to 503, the listener stops accepting
+ * connections, idle keep-alive sockets are closed, in-flight requests get
+ * up to `shutdownTimeoutMs` to finish (their sockets are closed right after
+ * the response) and then the shutdown hooks run and the process exits.
+ */
+class Lifecycle {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.name]               service name for logs
+   * @param {number} [options.shutdownTimeoutMs]  max time to drain in-flight requests
+   * @param {number} [options.drainDelayMs]       keep serving after readiness fails, so
+   *                                              load balancers notice before we stop listening
+   * @param {number} [options.checkTimeoutMs]     per readiness check
+   * @param {Logger} [options.logger]
+   */
+  constructor({
+    name = "app",
+    shutdownTimeoutMs = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000,
+    drainDelayMs = Number(process.env.DRAIN_DELAY_MS) || 0,
+    checkTimeoutMs = 2000,
+    logger = new Logger(),
+  } = {}) {
+    this.name = name;
+    this.shutdownTimeoutMs = shutdownTimeoutMs;
+    this.drainDelayMs = drainDelayMs;
+    this.checkTimeoutMs = checkTimeoutMs;
+    this.logger = logger;
+    this.checks = new Map();
+    this.shutdownHooks = [];
+    this.drainHooks = [];
+    this.shuttingDown = false;
+    this.server = null;
+    this.sockets = new Map(); // socket -> number of in-flight requests on it
+    this.responses = new Set(); // in-flight responses
+  }
+
+  // fn may be sync or async; throwing (or resolving false) marks the app not ready
+  addCheck(name, fn) {
+    this.checks.set(name, fn);
+    return this;
+  }
+
+  // Runs after the server is closed, e.g. to close a DB pool or flush logs
+  onShutdown(fn) {
+    this.shutdownHooks.push(fn);
+    return this;
+  }
+
+  // Runs when draining starts, to end responses that would never finish on
+  // their own (event streams, long polls) instead of waiting out the timeout
+  onDrain(fn) {
+    this.drainHooks.push(fn);
+    return this;
+  }
+
+  async runChecks() {
+    const results = {};
+    await Promise.all(
+      Array.from(this.checks, async ([name, fn]) => {
+        const started = Date.now();
+        try {
+          const ok = await withTimeout(Promise.resolve().then(fn), this.checkTimeoutMs, "check timed out");
+          results[name] = { status: ok === false ? "fail" : "pass", durationMs: Date.now() - started };
+        } catch (err) {
+          results[name] = { status: "fail", error: err.message, durationMs: Date.now() - started };
+        }
+      })
+    );
+    return results;
+  }
+
+  router() {
+    const router = express.Router();
+
+    const live = (req, res) => {
+      res.json({ status: "pass", service: this.name, uptime: process.uptime() });
+    };
+
+    router.get("/health", live);
+    router.get("/health/live", live);
+
+    router.get("/health/ready", async (req, res, next) => {
+      try {
+        const checks = await this.runChecks();
+        const failing = Object.values(checks).some((check) => check.status === "fail");
+        const status = this.shuttingDown ? "shutting_down" : failing ? "fail" : "pass";
+
+        res.set("Cache-Control", "no-store");
+        res.status(status === "pass" ? 200 : 503).json({ status, service: this.name, checks });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    return router;
+  }
+
+  /**
+   * app.listen() plus connection tracking and signal handlers.
+   * @returns {import("http").Server}
+   */
+  listen(app, port, callback) {
+    this.server = app.listen(port, () => {
+      this.logger.info(`${this.name} listening on port ${this.server.address().port}`, { service: this.name });
+      if (callback) callback(this.server);
+    });
+
+    this.server.on("connection", (socket) => {
+      this.sockets.set(socket, 0);
+      socket.on("close", () => this.sockets.delete(socket));
+    });
+
+    this.server.on("request", (req, res) => {
+      const { socket } = req;
+      this.sockets.set(socket, (this.sockets.get(socket) || 0) + 1);
+      this.responses.add(res);
+
+      // While draining, tell keep-alive clients not to reuse this connection
+      if (this.shuttingDown) res.setHeader("Connection", "close");
+
+      let done = false;
+      const onDone = () => {
+        if (done) return;
+        done = true;
+        this.responses.delete(res);
+        const active = Math.max(0, (this.sockets.get(socket) || 0) - 1);
+        if (this.sockets.has(socket)) this.sockets.set(socket, active);
+        // end() rather than destroy(): lets the kernel flush what we just wrote
+        if (this.shuttingDown && active === 0) socket.end();
+      };
+      res.on("finish", onDone);
+      res.on("close", onDone);
+    });
+
+    const onSignal = (signal) => {
+      this.shutdown(signal).then((code) => process.exit(code));
+    };
+    this.signalHandlers = { SIGTERM: onSignal, SIGINT: onSignal };
+    Object.entries(this.signalHandlers).forEach(([signal, handler]) => process.once(signal, handler));
+
+    return this.server;
+  }
+
+  /**
+   * Drains and closes the server. Resolves to the exit code: 0 when every
+   * request finished in time, 1 when sockets had to be cut.
+   */
+  async shutdown(reason = "shutdown") {
+    if (this.shuttingDown) return this.shutdownPromise;
+    this.shuttingDown = true;
+
+    this.shutdownPromise = (async () => {
+      this.logger.info(`${this.name} shutting down (${reason})`, {
+        service: this.name,
+        inFlight: this.inFlight(),
+      });
+
+      if (this.drainDelayMs) await new Promise((resolve) => setTimeout(resolve, this.drainDelayMs));
+
+      let code = 0;
+      if (this.server) {
+        const closed = new Promise((resolve) => this.server.close(resolve));
+
+        // Idle keep-alive sockets would otherwise hold close() open until they time out
+        for (const [socket, active] of this.sockets) {
+          if (active === 0) socket.destroy();
+        }
+        for (const res of this.responses) {
+          if (!res.headersSent) res.setHeader("Connection", "close");
+        }
+        for (const hook of this.drainHooks) {
+          try {
+            hook();
+          } catch (err) {
+            this.logger.error(`${this.name} drain hook failed: ${err.message}`, { service: this.name });
+          }
+        }
+
+        try {
+          await withTimeout(closed, this.shutdownTimeoutMs, "drain timed out");
+        } catch (err) {
+          this.logger.warn(`${this.name} drain timed out, closing ${this.sockets.size} connection(s)`, {
+            service: this.name,
+            inFlight: this.inFlight(),
+          });
+          for (const socket of this.sockets.keys()) socket.destroy();
+          code = 1;
+        }
+      }
+
+      for (const hook of this.shutdownHooks) {
+        try {
+          await hook();
+        } catch (err) {
+          this.logger.error(`${this.name} shutdown hook failed: ${err.message}`, { service: this.name });
+          code = 1;
+        }
+      }
+
+      if (this.signalHandlers) {
+        Object.entries(this.signalHandlers).forEach(([signal, handler]) => process.removeListener(signal, handler));
+      }
+
+      this.logger.info(`${this.name} stopped`, { service: this.name });
+      return code;
+    })();
+
+    return this.shutdownPromise;
+  }
+
+  inFlight() {
+    let total = 0;
+    for (const active of this.sockets.values()) total += active;
+    return total;
+  }
+}
+
+const createLifecycle = (options) => new Lifecycle(options);
+
+module.exports = { Lifecycle, createLifecycle };
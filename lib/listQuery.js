@@ -0,0 +1,231 @@
+/**
+ * Filtering, sorting and pagination for list endpoints, shared by the
+ * products and users routers.
+ *
+ *   ?price[gte]=500&name[contains]=lap   filters (plain ?name=Laptop means eq)
+ *   ?sort=-price,name                    multi-key sort, "-" for descending
+ *   ?page=2&pageSize=20                  offset pagination
+ *   ?limit=20&cursor=<next cursor>       cursor (keyset) pagination
+ *
+ * Without page/pageSize/limit/cursor the whole (filtered, sorted) list is
+ * returned, so existing clients keep working.
+ */
+
+const { BadRequestError } = require("./httpErrors");
+
+class ListQueryError extends BadRequestError {}
+
+const RESERVED = new Set(["sort", "page", "pageSize", "limit", "cursor"]);
+
+const operators = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  contains: (a, b) => String(a).toLowerCase().includes(String(b).toLowerCase()),
+  startsWith: (a, b) => String(a).toLowerCase().startsWith(String(b).toLowerCase()),
+  in: (a, b) => b.includes(a),
+};
+
+// Query values are strings: coerce them to the type of the stored value
+const coerce = (raw, sample, field) => {
+  if (typeof sample === "number") {
+    const number = Number(raw);
+    if (Number.isNaN(number)) throw new ListQueryError(`"${field}" filter value must be a number, got "${raw}"`);
+    return number;
+  }
+  if (typeof sample === "boolean") return raw === "true";
+  return raw;
+};
+
+const positiveInt = (value, name, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ListQueryError(`${name} must be a positive integer`);
+  }
+  return Math.min(number, max);
+};
+
+// Accepts both qs-style nested objects ({ price: { gte: "500" } }) and flat
+// "price[gte]" keys (Express 5's default query parser)
+function parseFilters(query, fields) {
+  const filters = [];
+
+  for (const [key, value] of Object.entries(query)) {
+    if (RESERVED.has(key)) continue;
+
+    const flat = key.match(/^(\w+)\[(\w+)\]$/);
+    const entries = flat
+      ? [[flat[1], flat[2], value]]
+      : value !== null && typeof value === "object" && !Array.isArray(value)
+        ? Object.entries(value).map(([op, operand]) => [key, op, operand])
+        : [[key, "eq", value]];
+
+    for (const [field, op, operand] of entries) {
+      if (fields && !fields.includes(field)) {
+        throw new ListQueryError(`Cannot filter on "${field}"`);
+      }
+      if (!operators[op]) {
+        throw new ListQueryError(`Unknown filter operator "${op}" (use ${Object.keys(operators).join(", ")})`);
+      }
+      const values = String(operand).split(",");
+      filters.push({ field, op, operand: op === "in" ? values : String(operand) });
+    }
+  }
+
+  return filters;
+}
+
+function parseSort(sort, fields) {
+  if (!sort) return [];
+
+  return String(sort)
+    .split(",")
+    .filter(Boolean)
+    .map((key) => {
+      const field = key.replace(/^[-+]/, "");
+      if (fields && !fields.includes(field)) {
+        throw new ListQueryError(`Cannot sort on "${field}"`);
+      }
+      return { field, direction: key.startsWith("-") ? -1 : 1 };
+    });
+}
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1; // missing values sort last
+  if (b === undefined || b === null) return -1;
+  if (typeof a === "string" && typeof b === "string") return a.localeCompare(b);
+  return a < b ? -1 : 1;
+};
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (Array.isArray(values)) return values;
+  } catch (err) {
+    // fall through
+  }
+  throw new ListQueryError("Invalid cursor");
+};
+
+/**
+ * Pure part: filters, sorts and slices `items` according to `query`.
+ *
+ * @param {object[]} items
+ * @param {object} query                    req.query
+ * @param {object} [options]
+ * @param {string[]} [options.fields]       filterable/sortable fields (default: any)
+ * @param {number} [options.defaultLimit]   page size when only page/cursor is given
+ * @param {number} [options.maxLimit]
+ * @returns {{ items: object[], total: number, next?: object, prev?: object, first?: object, last?: object }}
+ *          next/prev/first/last hold the query params for the neighbouring pages
+ */
+function applyListQuery(items, query = {}, { fields, defaultLimit = 20, maxLimit = 100, idField = "id" } = {}) {
+  const filters = parseFilters(query, fields);
+  const sortKeys = parseSort(query.sort, fields);
+
+  // The id tie-breaker makes the order total, which cursors rely on
+  const keys = [...sortKeys.filter((key) => key.field !== idField), { field: idField, direction: 1 }];
+  const compare = (a, b) => {
+    for (const { field, direction } of keys) {
+      const result = compareValues(a[field], b[field]) * direction;
+      if (result) return result;
+    }
+    return 0;
+  };
+
+  const matching = items
+    .filter((item) =>
+      filters.every(({ field, op, operand }) => {
+        const value = item[field];
+        if (value === undefined) return false;
+        const target = Array.isArray(operand) ? operand.map((o) => coerce(o, value, field)) : coerce(operand, value, field);
+        return operators[op](value, target);
+      })
+    )
+    .sort(compare);
+
+  const total = matching.length;
+  const keep = (extra) => {
+    const params = { ...query, ...extra };
+    Object.keys(params).forEach((key) => params[key] === undefined && delete params[key]);
+    return params;
+  };
+
+  if (query.limit !== undefined || query.cursor !== undefined) {
+    const limit = query.limit !== undefined ? positiveInt(query.limit, "limit", maxLimit) : defaultLimit;
+    let start = 0;
+
+    if (query.cursor !== undefined) {
+      const values = decodeCursor(query.cursor);
+      const after = Object.fromEntries(keys.map(({ field }, index) => [field, values[index]]));
+      start = matching.findIndex((item) => compare(item, after) > 0);
+      if (start === -1) start = total;
+    }
+
+    const page = matching.slice(start, start + limit);
+    const result = { items: page, total, first: keep({ cursor: undefined, limit }) };
+
+    if (start + limit < total) {
+      const last = page[page.length - 1];
+      result.next = keep({ cursor: encodeCursor(keys.map(({ field }) => last[field])), limit });
+    }
+    return result;
+  }
+
+  if (query.page !== undefined || query.pageSize !== undefined) {
+    const pageSize = query.pageSize !== undefined ? positiveInt(query.pageSize, "pageSize", maxLimit) : defaultLimit;
+    const page = query.page !== undefined ? positiveInt(query.page, "page", Number.MAX_SAFE_INTEGER) : 1;
+    const lastPage = Math.max(1, Math.ceil(total / pageSize));
+
+    const result = {
+      items: matching.slice((page - 1) * pageSize, page * pageSize),
+      total,
+      first: keep({ page: 1, pageSize }),
+      last: keep({ page: lastPage, pageSize }),
+    };
+    if (page < lastPage) result.next = keep({ page: page + 1, pageSize });
+    if (page > 1) result.prev = keep({ page: Math.min(page - 1, lastPage), pageSize });
+    return result;
+  }
+
+  return { items: matching, total };
+}
+
+// Serializes query params back, flattening qs-style objects to "field[op]"
+const toSearch = (params) => {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      Object.entries(value).forEach(([op, operand]) => search.append(`${key}[${op}]`, operand));
+    } else {
+      search.append(key, value);
+    }
+  }
+  return search.toString();
+};
+
+/**
+ * Express helper: applies the list query and sends the page as a JSON array
+ * with X-Total-Count and RFC 8288 Link headers. Bad query params throw a
+ * ListQueryError (400).
+ */
+function sendList(req, res, items, options) {
+  const result = applyListQuery(items, req.query, options);
+
+  const path = `${req.baseUrl}${req.path === "/" ? "" : req.path}` || "/";
+  const links = ["first", "prev", "next", "last"]
+    .filter((rel) => result[rel])
+    .map((rel) => `<${path}?${toSearch(result[rel])}>; rel="${rel}"`);
+
+  res.set("X-Total-Count", String(result.total));
+  if (links.length) res.set("Link", links.join(", "));
+  res.json(result.items);
+}
+
+module.exports = { applyListQuery, sendList, ListQueryError };
@@ -0,0 +1,199 @@
+const { BadRequestError } = require("./httpErrors");
+const { LEVELS, levelEnabled } = require("./logTransports");
+
+/**
+ * Filters for the Logger's in-memory buffer (DesignPatterns/2-singleton-pattern.js):
+ *
+ *   logger.query({ level: "warn", since: "15m", text: "timeout", fields: { requestId: "abc" } })
+ *   for await (const entry of logger.tail({ fields: { module: "orders" } })) { ... }
+ *
+ * Query fields, all optional and combined with AND:
+ *
+ *   level    threshold: "warn" matches warn and error
+ *   levels   exact levels: ["info", "error"]
+ *   since    Date, epoch ms, ISO string or a duration back from now ("90s", "15m", "2h", "1d")
+ *   until    same, exclusive
+ *   text     case-insensitive substring of the message
+ *   regex    RegExp or pattern string, tested against the message
+ *   fields   { name: value } bound/structured fields; dotted names reach into
+ *            objects ("headers.host"), values compare as strings
+ *   limit    at most this many entries, the newest ones
+ *   order    "asc" (oldest first, default) or "desc"
+ */
+
+class LogQueryError extends BadRequestError {}
+
+const DURATION = /^(\d+)(ms|s|m|h|d)$/;
+const UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const toTime = (value, name, now) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "number") return value;
+
+  const duration = String(value).match(DURATION);
+  if (duration) return now - Number(duration[1]) * UNIT_MS[duration[2]];
+
+  const time = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+  if (Number.isNaN(time)) throw new LogQueryError(`${name} must be a date, epoch ms or a duration like 15m`);
+  return time;
+};
+
+const fieldValue = (entry, name) =>
+  name.split(".").reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), entry);
+
+const assertKnownLevel = (level) => {
+  if (!(level in LEVELS)) throw new LogQueryError(`Unknown level "${level}", expected ${Object.keys(LEVELS).join(", ")}`);
+};
+
+/**
+ * Turns a query into a predicate over log entries; throws LogQueryError
+ * (a 400) for values that can't be parsed.
+ */
+function compileLogFilter({ level, levels, since, until, text, regex, fields = {} } = {}, { now = Date.now() } = {}) {
+  const tests = [];
+
+  if (level) {
+    assertKnownLevel(level);
+    tests.push((entry) => levelEnabled(level, entry.level));
+  }
+  if (levels && levels.length) {
+    levels.forEach(assertKnownLevel);
+    const wanted = new Set(levels);
+    tests.push((entry) => wanted.has(entry.level));
+  }
+  if (since !== undefined && since !== "") {
+    const from = toTime(since, "since", now);
+    tests.push((entry) => Date.parse(entry.timestamp) >= from);
+  }
+  if (until !== undefined && until !== "") {
+    const to = toTime(until, "until", now);
+    tests.push((entry) => Date.parse(entry.timestamp) < to);
+  }
+  if (text) {
+    const needle = String(text).toLowerCase();
+    tests.push((entry) => String(entry.message).toLowerCase().includes(needle));
+  }
+  if (regex) {
+    let pattern = regex;
+    if (!(pattern instanceof RegExp)) {
+      try {
+        pattern = new RegExp(regex);
+      } catch (err) {
+        throw new LogQueryError(`Invalid regex: ${err.message}`);
+      }
+    }
+    // Drop the g/y flags: they make test() stateful between entries
+    pattern = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ""));
+    tests.push((entry) => pattern.test(String(entry.message)));
+  }
+  for (const [name, expected] of Object.entries(fields)) {
+    tests.push((entry) => {
+      const actual = fieldValue(entry, name);
+      return actual !== undefined && String(actual) === String(expected);
+    });
+  }
+
+  return (entry) => tests.every((test) => test(entry));
+}
+
+// Matching entries of `entries` (oldest first), with limit and order applied
+function queryLogs(entries, query = {}, options) {
+  const { limit, order = "asc" } = query;
+  if (!["asc", "desc"].includes(order)) throw new LogQueryError('order must be "asc" or "desc"');
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) throw new LogQueryError("limit must be a positive integer");
+
+  const matches = entries.filter(compileLogFilter(query, options));
+  const newest = limit ? matches.slice(-limit) : matches;
+  return order === "desc" ? newest.reverse() : newest;
+}
+
+/**
+ * Query-string form of a query, for HTTP routes:
+ *
+ *   ?level=warn&since=15m&until=2024-01-01T00:00:00Z&q=timeout&regex=^GET
+ *   &field.requestId=abc&levels=info,error&limit=50&order=desc
+ */
+function parseLogQuery(params = {}) {
+  const query = { fields: {} };
+  const single = (value) => (Array.isArray(value) ? value[value.length - 1] : value);
+
+  for (const [key, raw] of Object.entries(params)) {
+    const value = single(raw);
+    if (key.startsWith("field.")) query.fields[key.slice("field.".length)] = value;
+    else if (key === "field" && value && typeof value === "object") Object.assign(query.fields, value);
+    else if (key === "q" || key === "text") query.text = value;
+    else if (key === "levels") query.levels = String(value).split(",").filter(Boolean);
+    else if (key === "limit") query.limit = Number(value);
+    else if (["level", "since", "until", "regex", "order"].includes(key)) query[key] = value;
+  }
+
+  return query;
+}
+
+/**
+ * Async iterator over entries logged from now on that match `filter`.
+ * Entries wait in a queue while the consumer is busy; past `maxQueue` the
+ * oldest are dropped (counted in `dropped`) so a stalled consumer can't
+ * grow memory without bound. Ends on return() (a `break` out of for await)
+ * or when `signal` aborts.
+ */
+class LogTail {
+  /**
+   * @param {(listener: Function) => Function} subscribe  registers a listener, returns the unsubscribe function
+   * @param {Function} filter
+   * @param {object} [options]
+   * @param {number} [options.maxQueue]
+   * @param {AbortSignal} [options.signal]
+   */
+  constructor(subscribe, filter, { maxQueue = 1000, signal } = {}) {
+    this.queue = [];
+    this.waiting = null;
+    this.done = false;
+    this.dropped = 0;
+
+    this.unsubscribe = subscribe((entry) => {
+      if (this.done || !filter(entry)) return;
+      if (this.waiting) {
+        const resolve = this.waiting;
+        this.waiting = null;
+        resolve({ value: entry, done: false });
+        return;
+      }
+      this.queue.push(entry);
+      if (this.queue.length > maxQueue) {
+        this.queue.shift();
+        this.dropped++;
+      }
+    });
+
+    if (signal) {
+      if (signal.aborted) this.return();
+      else signal.addEventListener("abort", () => this.return(), { once: true });
+    }
+  }
+
+  next() {
+    if (this.queue.length) return Promise.resolve({ value: this.queue.shift(), done: false });
+    if (this.done) return Promise.resolve({ value: undefined, done: true });
+    return new Promise((resolve) => {
+      this.waiting = resolve;
+    });
+  }
+
+  return() {
+    if (!this.done) {
+      this.done = true;
+      this.unsubscribe();
+      this.queue = [];
+      if (this.waiting) this.waiting({ value: undefined, done: true });
+      this.waiting = null;
+    }
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+module.exports = { compileLogFilter, queryLogs, parseLogQuery, LogTail, LogQueryError };
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Where the singleton Logger (DesignPatterns/2-singleton-pattern.js) sends
+ * its entries. A transport is any object with `write(entry, logger)`, plus
+ * optionally `level` (its own threshold) and `close()`:
+ *
+ *   const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+ *   const { ConsoleTransport, FileTransport, RingBufferTransport } = require("../lib/logTransports");
+ *
+ *   new Logger().configure({
+ *     level: "debug",
+ *     transports: [
+ *       new ConsoleTransport({ level: "info" }),
+ *       new FileTransport({ filename: "logs/app.log", maxSize: 10 * 1024 * 1024, interval: 24 * 60 * 60 * 1000 }),
+ *       new RingBufferTransport({ size: 1000 }),
+ *     ],
+ *   });
+ *
+ * Entries are plain objects: { timestamp, level, message, ...fields }.
+ */
+
+// Lower is more severe; a threshold lets through its own level and everything below
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const assertLevel = (level) => {
+  if (!(level in LEVELS)) throw new Error(`Unknown log level "${level}", expected ${Object.keys(LEVELS).join(", ")}`);
+  return level;
+};
+
+// Does `threshold` let `level` through?
+const levelEnabled = (threshold, level) => LEVELS[level] <= LEVELS[threshold];
+
+/**
+ * 'json': one JSON object per line; 'text': `[timestamp] LEVEL: message {fields}`.
+ */
+function formatEntry(entry, format = "text") {
+  if (format === "json") return JSON.stringify(entry);
+
+  const { timestamp, level, message, ...fields } = entry;
+  const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : "";
+  return `[${timestamp}] ${level.toUpperCase()}: ${message}${extra}`;
+}
+
+// console.log, in the logger's format unless `format` is given
+class ConsoleTransport {
+  constructor({ level, format } = {}) {
+    this.level = level && assertLevel(level);
+    this.format = format;
+  }
+
+  write(entry, logger) {
+    console.log(formatEntry(entry, this.format || (logger && logger.format)));
+  }
+}
+
+/**
+ * Keeps the last `size` entries in memory; the oldest is overwritten once
+ * full. Logger.getLogs() reads from one of these.
+ */
+class RingBufferTransport {
+  constructor({ size = 100, level } = {}) {
+    this.level = level && assertLevel(level);
+    this.resize(size);
+  }
+
+  write(entry) {
+    this.slots[(this.start + this.length) % this.capacity] = entry;
+    if (this.length < this.capacity) this.length++;
+    else this.start = (this.start + 1) % this.capacity;
+  }
+
+  // Oldest first
+  entries() {
+    const entries = [];
+    for (let i = 0; i < this.length; i++) entries.push(this.slots[(this.start + i) % this.capacity]);
+    return entries;
+  }
+
+  // Keeps the most recent entries that still fit
+  resize(size) {
+    if (!Number.isInteger(size) || size < 1) throw new Error("Ring buffer size must be a positive integer");
+    const kept = this.slots ? this.entries().slice(-size) : [];
+    this.capacity = size;
+    this.slots = new Array(size);
+    this.start = 0;
+    this.length = 0;
+    kept.forEach((entry) => this.write(entry));
+  }
+
+  // Drops the entries `predicate` matches and returns how many
+  remove(predicate) {
+    const entries = this.entries();
+    const kept = entries.filter((entry) => !predicate(entry));
+    this.clear();
+    kept.forEach((entry) => this.write(entry));
+    return entries.length - kept.length;
+  }
+
+  clear() {
+    this.slots = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  get size() {
+    return this.length;
+  }
+}
+
+// One JSON object per line on any writable stream (process.stdout, a socket, ...)
+class JsonLinesTransport {
+  constructor({ stream = process.stdout, level } = {}) {
+    this.level = level && assertLevel(level);
+    this.stream = stream;
+  }
+
+  write(entry) {
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  close() {
+    const shared = this.stream === process.stdout || this.stream === process.stderr;
+    if (!shared && typeof this.stream.end === "function") this.stream.end();
+  }
+}
+
+/**
+ * Appends to `filename` and rotates it when it grows past `maxSize` bytes
+ * and/or when an `interval` (ms, counted from the epoch, so 86400000
+ * rotates at midnight UTC) has passed: app.log becomes app.log.1, app.log.1
+ * becomes app.log.2, ... and anything past `maxFiles` is deleted.
+ *
+ * Writes are synchronous, so nothing logged right before a crash is lost;
+ * keep it for moderate volumes and prefer JsonLinesTransport on stdout plus
+ * a log shipper for busy services.
+ */
+class FileTransport {
+  constructor({ filename, format = "json", level, maxSize = Infinity, interval = null, maxFiles = 5, now = () => Date.now() } = {}) {
+    if (!filename) throw new Error("FileTransport needs a filename");
+    this.filename = path.resolve(filename);
+    this.format = format;
+    this.level = level && assertLevel(level);
+    this.maxSize = maxSize;
+    this.interval = interval;
+    this.maxFiles = maxFiles;
+    this.now = now;
+    this.fd = null;
+  }
+
+  period(time = this.now()) {
+    return this.interval ? Math.floor(time / this.interval) : 0;
+  }
+
+  open() {
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    this.fd = fs.openSync(this.filename, "a");
+    const { size, mtimeMs } = fs.fstatSync(this.fd);
+    this.bytes = size;
+    // A file left by a previous run belongs to the period it was last written in
+    this.openedPeriod = size > 0 ? this.period(mtimeMs) : this.period();
+  }
+
+  rotate() {
+    this.close();
+    if (this.maxFiles > 0) {
+      fs.rmSync(`${this.filename}.${this.maxFiles}`, { force: true });
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        const from = `${this.filename}.${i}`;
+        if (fs.existsSync(from)) fs.renameSync(from, `${this.filename}.${i + 1}`);
+      }
+      fs.renameSync(this.filename, `${this.filename}.1`);
+    } else {
+      fs.rmSync(this.filename, { force: true });
+    }
+    this.open();
+  }
+
+  write(entry) {
+    if (this.fd === null) this.open();
+
+    const line = Buffer.from(`${formatEntry(entry, this.format)}\n`);
+    const full = this.bytes + line.length > this.maxSize;
+    const expired = this.period() !== this.openedPeriod;
+    // An empty file is never rotated: a line bigger than maxSize still gets written
+    if (this.bytes > 0 && (full || expired)) this.rotate();
+    else if (expired) this.openedPeriod = this.period();
+
+    fs.writeSync(this.fd, line);
+    this.bytes += line.length;
+  }
+
+  close() {
+    if (this.fd === null) return;
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+module.exports = {
+  LEVELS,
+  assertLevel,
+  levelEnabled,
+  formatEntry,
+  ConsoleTransport,
+  RingBufferTransport,
+  JsonLinesTransport,
+  FileTransport,
+};
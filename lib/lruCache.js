@@ -0,0 +1,95 @@
+/**
+ * Least-recently-used cache with a per-entry time to live.
+ *
+ * A Map keeps insertion order, so re-inserting an entry on every read makes
+ * the first key the least recently used one: that's the one evicted when
+ * the cache is full. Expired entries are dropped lazily when read.
+ *
+ *   const cache = new LruCache({ max: 500, ttlMs: 60 * 1000 });
+ *   cache.set("users:/users", body);
+ *   cache.get("users:/users"); // body, or undefined once expired or evicted
+ */
+class LruCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.max]    entry count limit
+   * @param {number} [options.ttlMs]  default time to live, 0 = never expires
+   * @param {() => number} [options.now]
+   */
+  constructor({ max = 500, ttlMs = 60 * 1000, now = () => Date.now() } = {}) {
+    if (!Number.isInteger(max) || max < 1) throw new Error("LruCache max must be a positive integer");
+
+    this.max = max;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || this.isExpired(entry)) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  has(key) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && !this.isExpired(entry);
+  }
+
+  set(key, value, ttlMs = this.ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: ttlMs > 0 ? this.now() + ttlMs : Infinity });
+
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+    return this;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  // Removes every key starting with `prefix`, returns how many were removed
+  deletePrefix(prefix) {
+    let removed = 0;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  stats() {
+    return { size: this.entries.size, max: this.max, hits: this.hits, misses: this.misses, evictions: this.evictions };
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt <= this.now();
+  }
+}
+
+module.exports = { LruCache };
@@ -0,0 +1,362 @@
+const express = require("express");
+const { monitorEventLoopDelay } = require("perf_hooks");
+
+/**
+ * Prometheus metrics without a client library: counters, gauges and
+ * histograms with labels, rendered in the text exposition format.
+ *
+ *   const { registry } = require("../lib/metrics");
+ *   const productsCreated = registry.counter({ name: "products_created_total", help: "Products created" });
+ *   productsCreated.inc();
+ *
+ *   const duration = registry.histogram({ name: "db_query_seconds", help: "...", labelNames: ["table"] });
+ *   const end = duration.startTimer({ table: "users" });
+ *   ...; end();
+ *
+ * `registry` is shared by everything in the process (like prom-client's
+ * global register); registry.router() serves it at GET /metrics.
+ */
+
+const NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const escapeHelp = (text) => text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+class Metric {
+  /**
+   * @param {object} options
+   * @param {string} options.name
+   * @param {string} options.help
+   * @param {string[]} [options.labelNames]
+   * @param {Function} [options.collect]  called (with the metric as `this`) before each scrape
+   */
+  constructor(type, { name, help, labelNames = [], collect }) {
+    if (!NAME.test(name || "")) throw new Error(`Invalid metric name "${name}"`);
+    if (!help) throw new Error(`Metric ${name} needs a help text`);
+    for (const label of labelNames) {
+      if (!LABEL.test(label) || label === "le") throw new Error(`Invalid label name "${label}" on ${name}`);
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.series = new Map(); // label values joined -> { labels, ...state }
+  }
+
+  // The series for `labels`, created with create() on first use (undefined
+  // without create). Unknown labels are an error.
+  seriesFor(labels = {}, create) {
+    for (const label of Object.keys(labels)) {
+      if (!this.labelNames.includes(label)) throw new Error(`Unknown label "${label}" on ${this.name}`);
+    }
+    const values = this.labelNames.map((label) => (labels[label] === undefined ? "" : String(labels[label])));
+    const key = values.join("\u0000");
+
+    let series = this.series.get(key);
+    if (!series && create) {
+      const normalized = Object.fromEntries(this.labelNames.map((label, index) => [label, values[index]]));
+      series = { labels: normalized, ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  // prom-client style: metric.labels({ method: "GET" }).inc()
+  labels(labels) {
+    const bound = {};
+    for (const method of ["inc", "dec", "set", "observe", "startTimer", "get"]) {
+      if (typeof this[method] === "function") bound[method] = (...args) => this[method](labels, ...args);
+    }
+    return bound;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+// Splits (labels, value) / (value) call forms
+const labelsAndValue = (labels, value, defaultValue) =>
+  typeof labels === "number" ? [{}, labels] : [labels || {}, value === undefined ? defaultValue : value];
+
+// Only ever goes up; resets with the process
+class Counter extends Metric {
+  constructor(options) {
+    super("counter", options);
+  }
+
+  inc(labels, value) {
+    const [labelValues, amount] = labelsAndValue(labels, value, 1);
+    if (!(amount >= 0)) throw new Error(`Counter ${this.name} can only increase`);
+    this.seriesFor(labelValues, () => ({ value: 0 })).value += amount;
+  }
+
+  get(labels) {
+    const series = this.seriesFor(labels);
+    return series ? series.value : 0;
+  }
+
+  lines() {
+    // A counter without labels reports 0 before its first increment
+    if (!this.series.size && !this.labelNames.length) return [`${this.name} 0`];
+    return [...this.series.values()].map((series) => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+// A value that goes up and down (in-flight requests, heap size)
+class Gauge extends Metric {
+  constructor(options) {
+    super("gauge", options);
+  }
+
+  set(labels, value) {
+    const [labelValues, amount] = labelsAndValue(labels, value);
+    this.seriesFor(labelValues, () => ({ value: 0 })).value = amount;
+  }
+
+  inc(labels, value) {
+    const [labelValues, amount] = labelsAndValue(labels, value, 1);
+    this.seriesFor(labelValues, () => ({ value: 0 })).value += amount;
+  }
+
+  dec(labels, value) {
+    const [labelValues, amount] = labelsAndValue(labels, value, 1);
+    this.seriesFor(labelValues, () => ({ value: 0 })).value -= amount;
+  }
+
+  get(labels) {
+    const series = this.seriesFor(labels);
+    return series ? series.value : 0;
+  }
+
+  lines() {
+    if (!this.series.size && !this.labelNames.length) return [`${this.name} 0`];
+    return [...this.series.values()].map((series) => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+// Counts observations into cumulative `le` buckets, plus their sum and count
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super("histogram", options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  newSeries() {
+    return { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const [labelValues, amount] = labelsAndValue(labels, value);
+    const series = this.seriesFor(labelValues, () => this.newSeries());
+    const index = this.buckets.findIndex((bound) => amount <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += amount;
+    series.count++;
+  }
+
+  // Returns end(extraLabels) which observes the elapsed seconds and returns them
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  get(labels) {
+    const series = this.seriesFor(labels);
+    return series ? { sum: series.sum, count: series.count } : { sum: 0, count: 0 };
+  }
+
+  lines() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += series.counts[index];
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  get contentType() {
+    return "text/plain; version=0.0.4; charset=utf-8";
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  // Returns the existing metric when one with that name and type exists, so
+  // modules loaded by several apps in one process can declare theirs freely
+  getOrCreate(Type, options) {
+    const existing = this.metrics.get(options.name);
+    if (existing) {
+      if (!(existing instanceof Type)) throw new Error(`Metric ${options.name} is already registered as a ${existing.type}`);
+      return existing;
+    }
+    return this.register(new Type(options));
+  }
+
+  counter(options) {
+    return this.getOrCreate(Counter, options);
+  }
+
+  gauge(options) {
+    return this.getOrCreate(Gauge, options);
+  }
+
+  histogram(options) {
+    return this.getOrCreate(Histogram, options);
+  }
+
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  // Zeroes every series (e.g. between tests); the metrics stay registered
+  resetValues() {
+    for (const metric of this.metrics.values()) metric.reset();
+  }
+
+  /** Text exposition format, see https://prometheus.io/docs/instrumenting/exposition_formats/ */
+  async metricsText() {
+    const blocks = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) await metric.collect.call(metric);
+      blocks.push([...metric.header(), ...metric.lines()].join("\n"));
+    }
+    return `${blocks.join("\n")}\n`;
+  }
+
+  // GET /metrics, mounted before the access log like the health routes
+  router({ path = "/metrics" } = {}) {
+    const router = express.Router();
+    router.get(path, async (req, res, next) => {
+      try {
+        res.set("Content-Type", this.contentType).set("Cache-Control", "no-store").send(await this.metricsText());
+      } catch (err) {
+        next(err);
+      }
+    });
+    return router;
+  }
+}
+
+const registry = new MetricsRegistry();
+const defaultMetricsRegistered = new WeakSet();
+
+/**
+ * Process metrics, named like prom-client's defaults so existing dashboards
+ * work: heap and RSS, event-loop lag percentiles (measured between scrapes),
+ * active handles by type (sockets, servers, timers), CPU time and start time.
+ */
+function collectDefaultMetrics({ registry: target = registry, resolutionMs = 10 } = {}) {
+  if (defaultMetricsRegistered.has(target)) return;
+  defaultMetricsRegistered.add(target);
+
+  target.gauge({
+    name: "process_start_time_seconds",
+    help: "Start time of the process since unix epoch in seconds",
+    collect() {
+      this.set(Math.round(Date.now() / 1000 - process.uptime()));
+    },
+  });
+
+  target.counter({
+    name: "process_cpu_seconds_total",
+    help: "Total user and system CPU time spent in seconds",
+    collect() {
+      const { user, system } = process.cpuUsage();
+      this.reset();
+      this.inc((user + system) / 1e6);
+    },
+  });
+
+  target.gauge({
+    name: "process_resident_memory_bytes",
+    help: "Resident memory size in bytes",
+    collect() {
+      this.set(process.memoryUsage.rss());
+    },
+  });
+
+  target.gauge({
+    name: "nodejs_heap_size_used_bytes",
+    help: "Process heap size used from Node.js in bytes",
+    collect() {
+      this.set(process.memoryUsage().heapUsed);
+    },
+  });
+
+  target.gauge({
+    name: "nodejs_heap_size_total_bytes",
+    help: "Process heap size from Node.js in bytes",
+    collect() {
+      this.set(process.memoryUsage().heapTotal);
+    },
+  });
+
+  const eventLoopDelay = monitorEventLoopDelay({ resolution: resolutionMs });
+  eventLoopDelay.enable();
+
+  target.gauge({
+    name: "nodejs_eventloop_lag_seconds",
+    help: "Event loop lag since the previous scrape, by quantile",
+    labelNames: ["quantile"],
+    collect() {
+      // The histogram reports nanoseconds; it has no samples right after a reset
+      const toSeconds = (ns) => (Number.isFinite(ns) ? ns / 1e9 : 0);
+      this.set({ quantile: "0.5" }, toSeconds(eventLoopDelay.percentile(50)));
+      this.set({ quantile: "0.99" }, toSeconds(eventLoopDelay.percentile(99)));
+      this.set({ quantile: "1" }, toSeconds(eventLoopDelay.max));
+      eventLoopDelay.reset();
+    },
+  });
+
+  target.gauge({
+    name: "nodejs_active_handles",
+    help: "Active libuv handles and requests keeping the event loop alive, by type",
+    labelNames: ["type"],
+    collect() {
+      this.reset();
+      for (const type of process.getActiveResourcesInfo()) this.inc({ type });
+    },
+  });
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, registry, collectDefaultMetrics, DEFAULT_BUCKETS };
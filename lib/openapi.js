@@ -0,0 +1,404 @@
+/**
+ * OpenAPI 3 documentation derived from the routes themselves.
+ *
+ * Routers declare metadata next to each handler through `documented()`:
+ *
+ *   const api = documented(router, { schemas: { Product: {...} } });
+ *   api.get("/:id", { summary: "Get a product", responses: { 200: { schema: "Product" }, 404: "Not found" } }, handler);
+ *
+ * and the app mounts them on a registry with the same prefix it uses for
+ * app.use(). The registry then serves:
+ *
+ *   GET /openapi.json   the OpenAPI 3 document
+ *   GET /postman.json   a Postman v2.1 collection generated from it
+ *   GET /docs           an interactive docs page (no external assets)
+ *
+ * Route metadata:
+ *   summary, description      shown in the docs
+ *   params: { id: "..." }     descriptions of :path params
+ *   query: { q: "..." }       query params (description, or a parameter object)
+ *   headers: { "If-Match": "..." }
+ *   list: true                adds the lib/listQuery.js params and headers
+ *   body: { schema, partial, example }   schema is a lib/schema.js schema or a component name
+ *   responses: { 200: { description, schema, headers, example }, 404: "description" }
+ *   roles: ["admin"]          documents the 403 answer
+ *   auth: true|false          overrides the mount default
+ *   captures: { var: "field" }   Postman stores response body fields in {{var}}
+ *
+ * Response schemas may be component names ("Product", "Product[]") or plain
+ * OpenAPI schema objects. 4xx/5xx responses default to the problem+json
+ * body produced by middleware/error.middleware.js.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const express = require("express");
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+const docsPage = fs.readFileSync(path.join(__dirname, "openapiDocs.html"), "utf8");
+
+const problemSchema = {
+  type: "object",
+  description: "RFC 7807 problem details",
+  properties: {
+    type: { type: "string" },
+    title: { type: "string" },
+    status: { type: "integer" },
+    detail: { type: "string" },
+    instance: { type: "string" },
+    errors: {
+      type: "array",
+      description: "Validation failures (422 only)",
+      items: {
+        type: "object",
+        properties: { field: { type: "string" }, rule: { type: "string" }, message: { type: "string" } },
+      },
+    },
+  },
+};
+
+// lib/schema.js rule -> JSON Schema (the OpenAPI 3.0 dialect)
+function ruleToSchema(rule) {
+  const schema = {};
+  const isArray = rule.type === "array";
+
+  if (rule.type) schema.type = rule.type;
+  if (rule.description) schema.description = rule.description;
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.minLength !== undefined) schema[isArray ? "minItems" : "minLength"] = rule.minLength;
+  if (rule.maxLength !== undefined) schema[isArray ? "maxItems" : "maxLength"] = rule.maxLength;
+  if (rule.pattern) schema.pattern = rule.pattern instanceof RegExp ? rule.pattern.source : rule.pattern;
+  if (rule.items) schema.items = ruleToSchema(rule.items);
+  if (rule.properties) Object.assign(schema, toJsonSchema(rule.properties));
+  if (rule.example !== undefined) schema.example = rule.example;
+
+  return schema;
+}
+
+/**
+ * Converts a lib/schema.js schema to an OpenAPI object schema.
+ * With `partial: true` (PATCH bodies) nothing is required.
+ */
+function toJsonSchema(schema, { partial = false } = {}) {
+  const properties = {};
+  const required = [];
+
+  for (const [key, rule] of Object.entries(schema)) {
+    properties[key] = ruleToSchema(rule);
+    if (rule.required && !partial) required.push(key);
+  }
+
+  return required.length ? { type: "object", properties, required } : { type: "object", properties };
+}
+
+// "Product" -> $ref, "Product[]" -> array of $ref, objects are used as-is
+const resolveSchema = (schema) => {
+  if (typeof schema !== "string") return schema;
+  if (schema.endsWith("[]")) return { type: "array", items: resolveSchema(schema.slice(0, -2)) };
+  return { $ref: `#/components/schemas/${schema}` };
+};
+
+// Express "/products/:id" -> OpenAPI "/products/{id}"
+const toOpenApiPath = (prefix, routePath) => {
+  const joined = `${prefix}${routePath === "/" ? "" : routePath}` || "/";
+  return joined.replace(/:(\w+)/g, "{$1}");
+};
+
+const pathParams = (routePath) => Array.from(routePath.matchAll(/:(\w+)/g), (match) => match[1]);
+
+const toParameter = (name, location, spec) => {
+  const details = typeof spec === "string" ? { description: spec } : spec;
+  return { name, in: location, schema: { type: "string" }, ...details };
+};
+
+const listParameters = [
+  toParameter("sort", "query", 'Comma separated fields, "-" prefix for descending, e.g. -price,name'),
+  toParameter("page", "query", { description: "Page number (offset pagination)", schema: { type: "integer", minimum: 1 } }),
+  toParameter("pageSize", "query", { description: "Page size, max 100", schema: { type: "integer", minimum: 1 } }),
+  toParameter("limit", "query", { description: "Page size for cursor pagination", schema: { type: "integer", minimum: 1 } }),
+  toParameter("cursor", "query", "Opaque cursor taken from the Link rel=next URL"),
+];
+
+const listHeaders = {
+  "X-Total-Count": "Number of items matching the filters",
+  Link: "RFC 8288 first/prev/next/last links when paginating",
+};
+
+const toHeaders = (headers = {}) =>
+  Object.fromEntries(
+    Object.entries(headers).map(([name, description]) => [name, { description, schema: { type: "string" } }])
+  );
+
+// Synthesizes a request body example (docs page, Postman) when none is given
+function exampleFor(schema) {
+  if (!schema) return undefined;
+  if (schema.example !== undefined) return schema.example;
+  if (schema.enum) return schema.enum[0];
+
+  switch (schema.type) {
+    case "string":
+      return "string";
+    case "number":
+    case "integer":
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case "boolean":
+      return false;
+    case "array":
+      return [exampleFor(schema.items)];
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, value]) => [key, exampleFor(value)])
+      );
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Wraps an Express router so every route is registered together with its
+ * documentation. Returns an object with get/post/put/patch/delete taking
+ * (path, meta, ...handlers); the router itself is used as usual.
+ */
+function documented(router, { schemas = {} } = {}) {
+  router.openapi = { routes: [], schemas };
+
+  const api = {};
+  for (const method of METHODS) {
+    api[method] = (routePath, meta, ...handlers) => {
+      router.openapi.routes.push({ method, path: routePath, meta });
+      router[method](routePath, ...handlers);
+      return api;
+    };
+  }
+
+  return api;
+}
+
+class OpenApiRegistry {
+  constructor({ title = "API", version = "1.0.0", description } = {}) {
+    this.info = description ? { title, version, description } : { title, version };
+    this.operations = [];
+    this.schemas = {};
+    this.tags = [];
+  }
+
+  schema(name, schema) {
+    this.schemas[name] = schema;
+    return this;
+  }
+
+  // Documents a route registered directly on the app
+  route(method, routePath, meta, { tags = [], auth = false } = {}) {
+    this.operations.push({ method, path: toOpenApiPath("", routePath), routePath, meta, tags, auth });
+    return this;
+  }
+
+  /**
+   * Adds the routes of a documented() router under `prefix`, which must
+   * match the app.use() prefix. `auth: true` when the whole mount sits
+   * behind authenticate().
+   */
+  mount(prefix, router, { tags = [], auth = false, description } = {}) {
+    if (!router.openapi) {
+      throw new Error(`Router mounted at ${prefix} has no OpenAPI metadata, wrap it with documented()`);
+    }
+
+    Object.assign(this.schemas, router.openapi.schemas);
+    tags
+      .filter((tag) => !this.tags.some((existing) => existing.name === tag))
+      .forEach((tag) => this.tags.push(description ? { name: tag, description } : { name: tag }));
+
+    for (const { method, path: routePath, meta } of router.openapi.routes) {
+      this.operations.push({
+        method,
+        path: toOpenApiPath(prefix, routePath),
+        routePath: `${prefix}${routePath === "/" ? "" : routePath}` || "/",
+        meta,
+        tags,
+        auth,
+      });
+    }
+
+    return this;
+  }
+
+  resolveRef(schema) {
+    return schema && schema.$ref ? this.schemas[schema.$ref.split("/").pop()] : schema;
+  }
+
+  buildOperation({ method, path: openApiPath, routePath, meta, tags, auth }) {
+    const secured = meta.auth !== undefined ? meta.auth : auth;
+    const operation = {
+      operationId: meta.operationId || `${method}${openApiPath.replace(/[{}]/g, "").replace(/\/(\w)/g, (m, c) => c.toUpperCase())}`,
+      summary: meta.summary,
+      tags: meta.tags || tags,
+    };
+    if (meta.description) operation.description = meta.description;
+
+    const parameters = [
+      ...pathParams(routePath).map((name) =>
+        toParameter(name, "path", { required: true, ...(meta.params && meta.params[name] ? { description: meta.params[name] } : {}) })
+      ),
+      ...Object.entries(meta.query || {}).map(([name, spec]) => toParameter(name, "query", spec)),
+      ...(meta.list ? listParameters : []),
+      ...Object.entries(meta.headers || {}).map(([name, spec]) => toParameter(name, "header", spec)),
+    ];
+    if (parameters.length) operation.parameters = parameters;
+
+    if (meta.body) {
+      const { schema, partial, example } = meta.body;
+      const content = { schema: typeof schema === "string" ? resolveSchema(schema) : toJsonSchema(schema, { partial }) };
+      content.example = example !== undefined ? example : exampleFor(this.resolveRef(content.schema));
+      operation.requestBody = { required: true, content: { "application/json": content } };
+    }
+
+    const responses = { ...meta.responses };
+    if (secured && !responses[401]) responses[401] = "Missing, invalid or expired access token";
+    if (meta.roles && !responses[403]) responses[403] = `Requires role: ${meta.roles.join(" or ")}`;
+
+    operation.responses = {};
+    for (const [status, spec] of Object.entries(responses)) {
+      const details = typeof spec === "string" ? { description: spec } : spec;
+      const response = { description: details.description || http.STATUS_CODES[status] || "Response" };
+      const error = Number(status) >= 400;
+      const schema = details.schema || (error ? "Problem" : undefined);
+
+      const headers = { ...(meta.list && !error ? listHeaders : {}), ...details.headers };
+      if (Object.keys(headers).length) response.headers = toHeaders(headers);
+
+      if (schema) {
+        const media = { schema: resolveSchema(schema) };
+        if (details.example !== undefined) media.example = details.example;
+        response.content = { [details.contentType || (error ? "application/problem+json" : "application/json")]: media };
+      }
+
+      operation.responses[status] = response;
+    }
+
+    if (secured) operation.security = [{ bearerAuth: [] }];
+    if (meta.captures) operation["x-captures"] = meta.captures;
+    return operation;
+  }
+
+  document({ serverUrl } = {}) {
+    const paths = {};
+    for (const entry of this.operations) {
+      paths[entry.path] = paths[entry.path] || {};
+      paths[entry.path][entry.method] = this.buildOperation(entry);
+    }
+
+    return {
+      openapi: "3.0.3",
+      info: this.info,
+      ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+      tags: this.tags,
+      paths,
+      components: {
+        schemas: { Problem: problemSchema, ...this.schemas },
+        securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } },
+      },
+    };
+  }
+
+  /**
+   * Postman v2.1 collection with one folder per tag. Requests use the
+   * {{baseUrl}} and {{accessToken}} collection variables; `captures` on a
+   * route (e.g. login) fills the variables from its response.
+   */
+  postmanCollection({ baseUrl = "http://localhost:3000" } = {}) {
+    const spec = this.document();
+    const folders = new Map();
+    const collectionVariables = new Set(["accessToken"]);
+
+    for (const [openApiPath, operations] of Object.entries(spec.paths)) {
+      for (const [method, operation] of Object.entries(operations)) {
+        const segments = openApiPath.split("/").filter(Boolean).map((part) => part.replace(/^\{(\w+)\}$/, ":$1"));
+        const request = {
+          method: method.toUpperCase(),
+          header: [],
+          url: {
+            raw: `{{baseUrl}}/${segments.join("/")}`,
+            host: ["{{baseUrl}}"],
+            path: segments,
+          },
+        };
+
+        const pathVariables = (operation.parameters || []).filter((param) => param.in === "path");
+        if (pathVariables.length) {
+          request.url.variable = pathVariables.map((param) => ({ key: param.name, value: "1", description: param.description }));
+        }
+
+        if (operation.requestBody) {
+          const { example } = operation.requestBody.content["application/json"];
+          request.header.push({ key: "Content-Type", value: "application/json" });
+          request.body = { mode: "raw", raw: JSON.stringify(example, null, 2), options: { raw: { language: "json" } } };
+        }
+
+        if (operation.security) {
+          request.auth = { type: "bearer", bearer: [{ key: "token", value: "{{accessToken}}", type: "string" }] };
+        }
+
+        // e.g. login stores the returned accessToken in {{accessToken}} for the other requests
+        const captures = Object.entries(operation["x-captures"] || {});
+        captures.forEach(([variable]) => collectionVariables.add(variable));
+        const event = captures.length
+          ? [
+              {
+                listen: "test",
+                script: {
+                  type: "text/javascript",
+                  exec: [
+                    "const body = pm.response.json();",
+                    ...captures.map(([variable, field]) => `pm.collectionVariables.set(${JSON.stringify(variable)}, body[${JSON.stringify(field)}]);`),
+                  ],
+                },
+              },
+            ]
+          : undefined;
+
+        const folder = operation.tags[0] || "default";
+        if (!folders.has(folder)) folders.set(folder, []);
+        folders.get(folder).push({ name: operation.summary || `${request.method} ${openApiPath}`, request, ...(event && { event }) });
+      }
+    }
+
+    return {
+      info: {
+        name: spec.info.title,
+        description: `Generated from /openapi.json (version ${spec.info.version})`,
+        schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json",
+      },
+      variable: [
+        { key: "baseUrl", value: baseUrl },
+        ...Array.from(collectionVariables, (key) => ({ key, value: "" })),
+      ],
+      item: Array.from(folders, ([name, item]) => ({ name, item })),
+    };
+  }
+
+  // Serves /openapi.json, /postman.json and /docs, with the server URL taken from the request
+  router() {
+    const router = express.Router();
+    const serverUrl = (req) => `${req.protocol}://${req.get("host")}`;
+
+    router.get("/openapi.json", (req, res) => {
+      res.json(this.document({ serverUrl: serverUrl(req) }));
+    });
+
+    router.get("/postman.json", (req, res) => {
+      res.attachment("postman_collection.json").json(this.postmanCollection({ baseUrl: serverUrl(req) }));
+    });
+
+    router.get("/docs", (req, res) => {
+      res.type("html").send(docsPage);
+    });
+
+    return router;
+  }
+}
+
+module.exports = { OpenApiRegistry, documented, toJsonSchema };
@@ -0,0 +1,158 @@
+/**
+ * Rate limiting core, independent of any HTTP framework.
+ *
+ * Two algorithms:
+ *   - token-bucket:   `limit` tokens, refilled continuously over `windowMs`.
+ *                     Allows short bursts up to `limit`, then a steady rate.
+ *   - sliding-window: log of request timestamps; at most `limit` requests in
+ *                     any `windowMs` window. Exact, but keeps one entry per hit.
+ *
+ * State lives in a RateLimitStore so several processes can share it later
+ * (e.g. a Redis store); MemoryStore is the single-process implementation.
+ */
+
+// Store contract: update() must be an atomic read-modify-write per key
+class RateLimitStore {
+  // updater(state | undefined) -> { state, result }; resolves to result
+  async update(key, updater, ttlMs) {
+    throw new Error("update method must be implemented");
+  }
+
+  async reset(key) {
+    throw new Error("reset method must be implemented");
+  }
+}
+
+class MemoryStore extends RateLimitStore {
+  constructor({ sweepIntervalMs = 60 * 1000, now = () => Date.now() } = {}) {
+    super();
+    this.entries = new Map(); // key -> { state, expiresAt }
+    this.now = now;
+
+    // Drop idle keys so the map doesn't grow with every client ever seen
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  // Synchronous body: nothing can interleave between the read and the write
+  async update(key, updater, ttlMs) {
+    const entry = this.entries.get(key);
+    const current = entry && entry.expiresAt > this.now() ? entry.state : undefined;
+    const { state, result } = updater(current);
+    this.entries.set(key, { state, expiresAt: this.now() + ttlMs });
+    return result;
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  sweep() {
+    const now = this.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+const algorithms = {
+  "token-bucket": ({ limit, windowMs }) => {
+    const refillPerMs = limit / windowMs;
+
+    return (state, now, cost) => {
+      const elapsed = state ? now - state.updatedAt : 0;
+      const available = state ? Math.min(limit, state.tokens + elapsed * refillPerMs) : limit;
+      const allowed = available >= cost;
+      const tokens = allowed ? available - cost : available;
+
+      return {
+        state: { tokens, updatedAt: now },
+        result: {
+          allowed,
+          remaining: Math.floor(tokens),
+          resetMs: Math.ceil((limit - tokens) / refillPerMs),
+          retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs),
+        },
+      };
+    };
+  },
+
+  "sliding-window": ({ limit, windowMs }) => (state, now, cost) => {
+    const hits = (state || []).filter((timestamp) => timestamp > now - windowMs);
+    const allowed = hits.length + cost <= limit;
+    if (allowed) hits.push(...Array(cost).fill(now));
+
+    // The window frees a slot when its oldest hit falls out of it
+    const untilOldestExpires = hits.length ? hits[0] + windowMs - now : 0;
+    return {
+      state: hits,
+      result: {
+        allowed,
+        remaining: Math.max(0, limit - hits.length),
+        resetMs: untilOldestExpires,
+        retryAfterMs: allowed ? 0 : Math.max(0, hits[hits.length - limit + cost - 1] + windowMs - now),
+      },
+    };
+  },
+};
+
+class RateLimiter {
+  /**
+   * @param {object} options
+   * @param {"token-bucket"|"sliding-window"} [options.algorithm]
+   * @param {number} options.limit       requests (or tokens) per window
+   * @param {number} options.windowMs
+   * @param {RateLimitStore} [options.store]
+   * @param {Function} [options.now]     clock, for tests
+   */
+  constructor({ algorithm = "token-bucket", limit, windowMs, store = new MemoryStore(), now = () => Date.now() }) {
+    if (!algorithms[algorithm]) {
+      throw new Error(`Unknown rate limit algorithm "${algorithm}" (use ${Object.keys(algorithms).join(", ")})`);
+    }
+    if (!(limit > 0) || !(windowMs > 0)) {
+      throw new Error("limit and windowMs must be positive numbers");
+    }
+
+    this.algorithm = algorithm;
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.store = store;
+    this.now = now;
+    this.take = algorithms[algorithm]({ limit, windowMs });
+  }
+
+  /**
+   * Spends `cost` units for `key`.
+   * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetMs: number, retryAfterMs: number }>}
+   */
+  async consume(key, cost = 1) {
+    const result = await this.store.update(
+      `${this.algorithm}:${key}`,
+      (state) => this.take(state, this.now(), cost),
+      this.windowMs
+    );
+    return { limit: this.limit, ...result };
+  }
+
+  reset(key) {
+    return this.store.reset(`${this.algorithm}:${key}`);
+  }
+
+  // IETF RateLimit header fields (draft-ietf-httpapi-ratelimit-headers)
+  headers(result) {
+    const headers = {
+      "RateLimit-Limit": String(result.limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(Math.ceil(result.resetMs / 1000)),
+      "RateLimit-Policy": `${this.limit};w=${Math.ceil(this.windowMs / 1000)}`,
+    };
+    if (!result.allowed) headers["Retry-After"] = String(Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+    return headers;
+  }
+}
+
+module.exports = { RateLimiter, RateLimitStore, MemoryStore };
@@ -0,0 +1,38 @@
+const TEMPLATE = Symbol("routeTemplate");
+
+/**
+ * Remembers which route template ("/users/:id") an Express request matched,
+ * for span names and metric labels that shouldn't contain raw ids.
+ *
+ * Express sets req.route when a route matches, while req.baseUrl still holds
+ * the mount path of the router it belongs to; by the time the response
+ * finishes, baseUrl may have been reset. trackRoute() catches the moment the
+ * route is set. Safe to call from several middlewares on the same request.
+ */
+function trackRoute(req) {
+  if (TEMPLATE in req) return;
+  req[TEMPLATE] = undefined;
+
+  let route;
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set(value) {
+      route = value;
+      // A router's "/" route is the mount path itself: "/products", not "/products/"
+      if (value) req[TEMPLATE] = value.path === "/" && req.baseUrl ? req.baseUrl : `${req.baseUrl}${value.path}`;
+    },
+  });
+}
+
+// The matched template, undefined when no route matched (e.g. a 404)
+const routeTemplate = (req) => req[TEMPLATE];
+
+// For middleware answering before routing on behalf of a route, like a
+// response cache replaying what the route sent
+const setRouteTemplate = (req, template) => {
+  if (template) req[TEMPLATE] = template;
+};
+
+module.exports = { trackRoute, routeTemplate, setRouteTemplate };
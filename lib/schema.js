@@ -0,0 +1,105 @@
+/**
+ * Small declarative validator for JSON payloads.
+ *
+ * A schema maps field names to rules:
+ *
+ *   {
+ *     name:  { type: "string", required: true, minLength: 1, pattern: /^[\w ]+$/ },
+ *     price: { type: "number", required: true, min: 0 },
+ *     tags:  { type: "array", items: { type: "string" }, maxLength: 5 },
+ *   }
+ *
+ * Supported rules: type (string | number | integer | boolean | array | object),
+ * required, min, max, minLength, maxLength, pattern, enum, items (arrays) and
+ * properties (nested objects). Fields not in the schema are stripped.
+ */
+
+const typeChecks = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+};
+
+function checkValue(value, rule, field, errors) {
+  const fail = (name, message) => errors.push({ field, rule: name, message });
+
+  if (rule.type && !typeChecks[rule.type](value)) {
+    fail("type", `must be of type ${rule.type}`);
+    return value;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    fail("enum", `must be one of: ${rule.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (rule.min !== undefined && value < rule.min) fail("min", `must be >= ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) fail("max", `must be <= ${rule.max}`);
+  }
+
+  if (typeof value === "string" || Array.isArray(value)) {
+    const unit = typeof value === "string" ? "characters" : "items";
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      fail("minLength", `must have at least ${rule.minLength} ${unit}`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      fail("maxLength", `must have at most ${rule.maxLength} ${unit}`);
+    }
+  }
+
+  if (rule.pattern && typeof value === "string" && !new RegExp(rule.pattern).test(value)) {
+    fail("pattern", `must match ${rule.pattern}`);
+  }
+
+  if (Array.isArray(value) && rule.items) {
+    return value.map((item, index) => checkValue(item, rule.items, `${field}[${index}]`, errors));
+  }
+
+  if (typeChecks.object(value) && rule.properties) {
+    return checkObject(value, rule.properties, { partial: false, path: `${field}.` }, errors);
+  }
+
+  return value;
+}
+
+function checkObject(data, schema, { partial, path }, errors) {
+  const value = {};
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = `${path}${key}`;
+
+    if (data[key] === undefined) {
+      if (rule.required && !partial) {
+        errors.push({ field, rule: "required", message: "is required" });
+      }
+      continue;
+    }
+
+    value[key] = checkValue(data[key], rule, field, errors);
+  }
+
+  return value;
+}
+
+/**
+ * Validates `data` against `schema`.
+ * With `partial: true` (PATCH) required fields may be omitted.
+ *
+ * @returns {{ value: object, errors: Array<{ field: string, rule: string, message: string }> }}
+ */
+function validate(schema, data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!typeChecks.object(data)) {
+    errors.push({ field: "", rule: "type", message: "body must be a JSON object" });
+    return { value: {}, errors };
+  }
+
+  const value = checkObject(data, schema, { partial, path: "" }, errors);
+  return { value, errors };
+}
+
+module.exports = { validate };
@@ -0,0 +1,442 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { performance } = require("perf_hooks");
+const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+
+/**
+ * Tracing facade: the apps talk to this instead of dd-trace, so the backend
+ * can be swapped from the environment and nothing needs a Datadog agent to run.
+ *
+ *   const tracer = createTracer({ exporter: "memory" });
+ *   await tracer.trace("db.query", { tags: { "db.table": "users" } }, async (span) => { ... });
+ *   tracer.exporter.find("db.query"); // finished spans, for tests
+ *
+ * Backends ("exporters"):
+ *   datadog  dd-trace (falls back to none when the package isn't installed)
+ *   memory   keeps finished spans in an InMemoryExporter, propagates W3C traceparent
+ *   none     no-op spans
+ *
+ * Every span has the same surface whatever the backend: setName, setTag,
+ * setTags, recordException, finish and context() -> { traceId, spanId }.
+ */
+
+// Finished spans of the memory backend, newest last
+class InMemoryExporter {
+  constructor({ maxSpans = 1000 } = {}) {
+    this.maxSpans = maxSpans;
+    this.spans = [];
+  }
+
+  export(span) {
+    this.spans.push(span);
+    if (this.spans.length > this.maxSpans) this.spans.shift();
+  }
+
+  find(name) {
+    return this.spans.filter((span) => span.name === name);
+  }
+
+  reset() {
+    this.spans = [];
+  }
+}
+
+class MemorySpan {
+  constructor(backend, name, { parent, tags = {} }) {
+    this.backend = backend;
+    this.name = name;
+    this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString("hex");
+    this.spanId = crypto.randomBytes(8).toString("hex");
+    this.parentId = parent ? parent.spanId : null;
+    this.tags = { ...tags };
+    this.error = false;
+    this.startTime = Date.now();
+    this.started = performance.now();
+    this.duration = null; // ms, set by finish()
+  }
+
+  context() {
+    return { traceId: this.traceId, spanId: this.spanId };
+  }
+
+  setName(name) {
+    this.name = name;
+    return this;
+  }
+
+  // Like dd-trace, setTag("error", true) marks the span as failed
+  setTag(key, value) {
+    if (key === "error") this.error = Boolean(value);
+    else this.tags[key] = value;
+    return this;
+  }
+
+  setTags(tags) {
+    for (const [key, value] of Object.entries(tags)) this.setTag(key, value);
+    return this;
+  }
+
+  // Same tags dd-trace sets for span.setTag("error", err)
+  recordException(err) {
+    this.error = true;
+    return this.setTags({
+      "error.type": err && err.name,
+      "error.message": err && err.message,
+      "error.stack": err && err.stack,
+    });
+  }
+
+  finish() {
+    if (this.duration !== null) return;
+    this.duration = performance.now() - this.started;
+    this.backend.exporter.export(this);
+  }
+}
+
+const NOOP_SPAN = {
+  context: () => ({ traceId: null, spanId: null }),
+  setName() {
+    return this;
+  },
+  setTag() {
+    return this;
+  },
+  setTags() {
+    return this;
+  },
+  recordException() {
+    return this;
+  },
+  finish() {},
+};
+
+class NoopBackend {
+  startSpan() {
+    return NOOP_SPAN;
+  }
+
+  activate(span, fn) {
+    return fn();
+  }
+
+  active() {
+    return null;
+  }
+
+  inject() {}
+
+  extract() {
+    return null;
+  }
+}
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+class MemoryBackend {
+  constructor(exporter) {
+    this.exporter = exporter;
+    this.storage = new AsyncLocalStorage();
+  }
+
+  startSpan(name, { parent, tags }) {
+    return new MemorySpan(this, name, { parent: parent && (parent.context ? parent.context() : parent), tags });
+  }
+
+  activate(span, fn) {
+    return this.storage.run(span, fn);
+  }
+
+  active() {
+    return this.storage.getStore() || null;
+  }
+
+  inject(span, headers) {
+    const { traceId, spanId } = span.context();
+    headers.traceparent = `00-${traceId}-${spanId}-01`;
+  }
+
+  extract(headers) {
+    const match = TRACEPARENT.exec(headers.traceparent || "");
+    return match ? { traceId: match[1], spanId: match[2] } : null;
+  }
+}
+
+class DatadogSpan {
+  constructor(raw) {
+    this.raw = raw;
+  }
+
+  context() {
+    const context = this.raw.context();
+    return { traceId: context.toTraceId(), spanId: context.toSpanId() };
+  }
+
+  // Datadog groups spans by resource, the operation name stays e.g. "web.request"
+  setName(name) {
+    this.raw.setTag("resource.name", name);
+    return this;
+  }
+
+  setTag(key, value) {
+    this.raw.setTag(key, value);
+    return this;
+  }
+
+  setTags(tags) {
+    this.raw.addTags(tags);
+    return this;
+  }
+
+  recordException(err) {
+    this.raw.setTag("error", err);
+    return this;
+  }
+
+  finish() {
+    this.raw.finish();
+  }
+}
+
+class DatadogBackend {
+  constructor(ddTracer) {
+    this.dd = ddTracer;
+  }
+
+  startSpan(name, { parent, tags }) {
+    // parent is one of our spans or a SpanContext from extract()
+    const childOf = parent instanceof DatadogSpan ? parent.raw : parent || undefined;
+    return new DatadogSpan(this.dd.startSpan(name, { childOf, tags }));
+  }
+
+  activate(span, fn) {
+    return this.dd.scope().activate(span.raw, fn);
+  }
+
+  active() {
+    const raw = this.dd.scope().active();
+    return raw ? new DatadogSpan(raw) : null;
+  }
+
+  inject(span, headers) {
+    this.dd.inject(span.raw, "http_headers", headers);
+  }
+
+  extract(headers) {
+    return this.dd.extract("http_headers", headers);
+  }
+}
+
+class Tracer {
+  /**
+   * @param {object} backend   NoopBackend | MemoryBackend | DatadogBackend
+   * @param {object} [options]
+   * @param {string} [options.exporter]  name of the backend, for logs
+   * @param {string} [options.service]
+   * @param {string} [options.env]
+   * @param {string} [options.version]
+   * @param {boolean} [options.logInjection]  whether logs should carry logContext()
+   */
+  constructor(backend, { exporter = "none", service, env, version, logInjection = false } = {}) {
+    this.backend = backend;
+    this.exporterName = exporter;
+    this.service = service;
+    this.env = env;
+    this.version = version;
+    this.logInjection = logInjection;
+    // The InMemoryExporter when exporting to memory, so tests can read the spans
+    this.exporter = backend.exporter || null;
+  }
+
+  get enabled() {
+    return !(this.backend instanceof NoopBackend);
+  }
+
+  /**
+   * Starts a span; the caller must finish() it. It's a child of `childOf`
+   * (a span or an extracted context) or else of the active span.
+   */
+  startSpan(name, { childOf, tags } = {}) {
+    const parent = childOf === undefined ? this.activeSpan() : childOf;
+    return this.backend.startSpan(name, { parent, tags });
+  }
+
+  /**
+   * Runs fn(span) with the span active (so spans started inside are its
+   * children) and finishes it when fn returns or its promise settles.
+   * A throw or rejection is recorded on the span and rethrown.
+   */
+  trace(name, options, fn) {
+    if (typeof options === "function") [options, fn] = [{}, options];
+
+    const span = this.startSpan(name, options);
+    const finish = (err) => {
+      if (err) span.recordException(err);
+      span.finish();
+    };
+
+    return this.backend.activate(span, () => {
+      let result;
+      try {
+        result = fn(span);
+      } catch (err) {
+        finish(err);
+        throw err;
+      }
+
+      if (result && typeof result.then === "function") {
+        return result.then(
+          (value) => {
+            finish();
+            return value;
+          },
+          (err) => {
+            finish(err);
+            throw err;
+          }
+        );
+      }
+      finish();
+      return result;
+    });
+  }
+
+  activeSpan() {
+    return this.backend.active();
+  }
+
+  // Runs fn with `span` active, without finishing it (e.g. around an Express next())
+  withSpan(span, fn) {
+    return this.backend.activate(span, fn);
+  }
+
+  /**
+   * Fields that tie a log entry to the active span, in the layout dd-trace's
+   * log injection uses: { dd: { trace_id, span_id, service, env, version } }.
+   * Empty when there is no active span.
+   */
+  logContext() {
+    const span = this.activeSpan();
+    if (!span) return {};
+
+    const { traceId, spanId } = span.context();
+    if (!traceId) return {};
+    return { dd: { trace_id: traceId, span_id: spanId, service: this.service, env: this.env, version: this.version } };
+  }
+
+  // Writes the span's context into outgoing request headers
+  inject(span, headers) {
+    if (span) this.backend.inject(span, headers);
+    return headers;
+  }
+
+  // Context of the caller from incoming headers (null if none), for childOf
+  extract(headers) {
+    return this.backend.extract(headers || {});
+  }
+}
+
+/**
+ * fetch() with a client span per call and the trace context injected into
+ * the request headers, so the callee's spans join the same trace.
+ *
+ *   const fetch = tracedFetch(tracer);
+ *   await fetch("http://localhost:3000/users");
+ */
+function tracedFetch(tracer, fetchImpl = globalThis.fetch) {
+  return (input, init = {}) => {
+    // A string, a URL or a Request
+    const url = input instanceof URL ? input.href : typeof input === "string" ? input : input.url;
+    const method = (init.method || "GET").toUpperCase();
+    const { origin, pathname } = new URL(url);
+
+    return tracer.trace(
+      "http.client",
+      { tags: { "span.kind": "client", "http.method": method, "http.url": `${origin}${pathname}` } },
+      async (span) => {
+        span.setName(`${method} ${origin}`);
+        const headers = tracer.inject(span, Object.fromEntries(new Headers(init.headers)));
+        const res = await fetchImpl(input, { ...init, headers });
+        span.setTag("http.status_code", res.status);
+        if (res.status >= 500) span.setTag("error", true);
+        return res;
+      }
+    );
+  };
+}
+
+function loadDatadog({ service, env, version, logInjection, sampleRate }) {
+  let ddTracer;
+  try {
+    ddTracer = require("dd-trace");
+  } catch (err) {
+    if (err.code !== "MODULE_NOT_FOUND") throw err;
+    return null;
+  }
+
+  const options = { service, env, logInjection };
+  if (version) options.version = version;
+  if (sampleRate !== undefined) options.sampleRate = sampleRate;
+  ddTracer.init(options);
+  return ddTracer;
+}
+
+/**
+ * @param {object} [options]
+ * @param {"datadog"|"memory"|"none"} [options.exporter]
+ * @param {string} [options.service]
+ * @param {string} [options.env]
+ * @param {string} [options.version]
+ * @param {boolean} [options.logInjection]  dd-trace only
+ * @param {number} [options.sampleRate]     dd-trace only
+ * @param {InMemoryExporter} [options.memoryExporter]
+ * @param {Logger} [options.logger]
+ */
+function createTracer({
+  exporter = "datadog",
+  service = "node-backend-service",
+  env = "local",
+  version,
+  logInjection = true,
+  sampleRate,
+  memoryExporter = new InMemoryExporter(),
+  logger = new Logger(),
+} = {}) {
+  const meta = { service, env, version, logInjection };
+
+  if (exporter === "memory") return new Tracer(new MemoryBackend(memoryExporter), { exporter, ...meta });
+
+  if (exporter === "datadog") {
+    const ddTracer = loadDatadog({ service, env, version, logInjection, sampleRate });
+    if (ddTracer) return new Tracer(new DatadogBackend(ddTracer), { exporter, ...meta });
+    logger.warn("dd-trace is not installed, tracing is disabled (npm install dd-trace, or set TRACING_EXPORTER)", {
+      service,
+    });
+    return new Tracer(new NoopBackend(), { exporter: "none", ...meta });
+  }
+
+  if (exporter !== "none") throw new Error(`Unknown tracing exporter "${exporter}" (datadog, memory or none)`);
+  return new Tracer(new NoopBackend(), { exporter, ...meta });
+}
+
+/**
+ * createTracer() configured from the environment:
+ *
+ *   TRACING_EXPORTER      datadog (default) | memory | none
+ *   DD_SERVICE, DD_ENV, DD_VERSION
+ *   DD_LOGS_INJECTION     "false" to turn off trace ids in dd-trace logs
+ *   DD_TRACE_SAMPLE_RATE  0..1
+ */
+function tracerFromEnv(env = process.env, defaults = {}) {
+  const sampleRate = env.DD_TRACE_SAMPLE_RATE !== undefined ? Number(env.DD_TRACE_SAMPLE_RATE) : undefined;
+  return createTracer({
+    ...defaults,
+    exporter: env.TRACING_EXPORTER || defaults.exporter,
+    service: env.DD_SERVICE || defaults.service,
+    env: env.DD_ENV || defaults.env,
+    version: env.DD_VERSION || defaults.version,
+    logInjection: env.DD_LOGS_INJECTION !== undefined ? env.DD_LOGS_INJECTION !== "false" : defaults.logInjection,
+    sampleRate: Number.isFinite(sampleRate) ? sampleRate : defaults.sampleRate,
+  });
+}
+
+module.exports = { Tracer, InMemoryExporter, createTracer, tracerFromEnv, tracedFetch };
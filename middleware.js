@@ -1,15 +1,26 @@
 const express = require("express");
+const { requestLogger } = require("./middleware/requestLogger.middleware");
+const { Logger } = require("./DesignPatterns/2-singleton-pattern");
+const { createLifecycle } = require("./lib/lifecycle");
 const app = express();
+const port = process.env.PORT || 8080;
+const logger = new Logger().configure({ format: process.env.LOG_FORMAT || "json" });
+const lifecycle = createLifecycle({ name: "middleware-demo", logger });
+
+app.use(lifecycle.router());
+
+// Access log: one JSON line per request, sets req.id from X-Request-Id
+app.use(requestLogger({ logger }));
 
 // First middleware
 app.use((req, res, next) => {
-  console.log("Middleware 1: This always runs");
+  logger.info("Middleware 1: This always runs", { requestId: req.id });
   next();
 });
 
 // Second middleware
 app.use((req, res, next) => {
-  console.log("Middleware 2: This also always runs");
+  logger.info("Middleware 2: This also always runs", { requestId: req.id });
   next();
 });
 
@@ -18,6 +29,11 @@ app.get("/", (req, res) => {
   res.send("Hello World!");
 });
 
-app.listen(8080, () => {
-  console.log("Server running on port 8080");
-});
+// Listens with graceful shutdown on SIGTERM/SIGINT
+const start = (listenPort = port) => lifecycle.listen(app, listenPort);
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start, lifecycle };
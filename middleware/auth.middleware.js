@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+const { UnauthorizedError, ForbiddenError } = require("../lib/httpErrors");
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest();
+
+// Verifies "Authorization: Bearer <token>" and attaches the claims as req.user
+const authenticate = (authService) => (req, res, next) => {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return next(new UnauthorizedError("No token provided"));
+  }
+
+  req.user = authService.verifyAccessToken(token);
+  next();
+};
+
+// Must run after authenticate: allows the request only for the given roles.
+// The roles are exposed on the middleware so routers can document them.
+const authorize = (...roles) =>
+  Object.assign(
+    (req, res, next) => {
+      if (!req.user) return next(new UnauthorizedError("No token provided"));
+      if (!roles.includes(req.user.role)) {
+        return next(new ForbiddenError(`Requires role: ${roles.join(" or ")}`));
+      }
+      next();
+    },
+    { roles }
+  );
+
+// For apps without user accounts: "Authorization: Bearer <token>" must be this
+// static token (e.g. ADMIN_TOKEN), compared in constant time
+const requireToken = (token) => {
+  if (!token) throw new Error("requireToken needs a token");
+  const expected = sha256(token);
+
+  return (req, res, next) => {
+    const [scheme, given] = (req.get("Authorization") || "").split(" ");
+    if (scheme !== "Bearer" || !given) return next(new UnauthorizedError("No token provided"));
+
+    const actual = sha256(given);
+    if (!crypto.timingSafeEqual(actual, expected)) return next(new UnauthorizedError("Invalid token"));
+    next();
+  };
+};
+
+// For service clients: "X-API-Key: <key>" must be one of `keys` ({ clientName: key }).
+// A known key sets req.apiKey to the client's name, which rateLimit() counts
+// against; an unknown key is a 401. Requests without the header pass through.
+const authenticateApiKey = (keys) => {
+  const clients = new Map(Object.entries(keys).map(([name, key]) => [sha256(key).toString("hex"), name]));
+
+  return (req, res, next) => {
+    const given = req.get("X-API-Key");
+    if (!given) return next();
+
+    const client = clients.get(sha256(given).toString("hex"));
+    if (!client) return next(new UnauthorizedError("Invalid API key"));
+    req.apiKey = client;
+    next();
+  };
+};
+
+module.exports = { authenticate, authorize, requireToken, authenticateApiKey };
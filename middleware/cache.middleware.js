@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const { LruCache } = require("../lib/lruCache");
+const { trackRoute, routeTemplate, setRouteTemplate } = require("../lib/routeTemplate");
+
+// Headers replayed on a cache hit. Per-request ones (X-Request-Id, rate limit
+// counters, Date) are left to the middleware that sets them.
+const CACHED_HEADERS = ["Content-Type", "ETag", "Last-Modified", "Location", "X-Total-Count", "Link", "Content-Language"];
+
+const weakEtagFor = (body) => `W/"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+
+const isWrite = (method) => !["GET", "HEAD", "OPTIONS"].includes(method);
+
+/**
+ * Response cache for GET routes of one resource, backed by an LRU + TTL store.
+ *
+ *   app.use("/products", responseCache({ namespace: "products", ttlMs: 30000, cacheControl: "private, no-cache" }), router);
+ *
+ * - 200 responses are stored per URL (path + query) and replayed with their
+ *   headers (X-Cache: HIT|MISS tells which).
+ * - Responses without an ETag get a weak one computed from the body; a
+ *   matching If-None-Match is answered with 304, from the cache or not.
+ * - A successful POST/PUT/PATCH/DELETE through the same middleware drops the
+ *   whole namespace, so lists and single items are never stale after a
+ *   write. GETs that started before the write don't repopulate the cache.
+ * - `cacheControl` is sent on every GET response of the route.
+ * - Hits never reach the router, so the route template of the cached
+ *   response is stored with it and restored on a hit (metrics and span
+ *   names see "/products/:id", not an unmatched request).
+ *
+ * Writes made outside HTTP can call middleware.invalidate(). Each process
+ * has its own cache: in cluster mode other workers only catch up on expiry.
+ *
+ * @param {object} [options]
+ * @param {string} [options.namespace]      defaults to the mount path (req.baseUrl)
+ * @param {LruCache} [options.cache]        share one store between routes
+ * @param {number} [options.ttlMs]
+ * @param {string} [options.cacheControl]
+ * @param {(req) => string} [options.varyBy] extra key part, e.g. the user when bodies differ per user
+ */
+function responseCache({
+  namespace,
+  cache = new LruCache({ max: 500 }),
+  ttlMs = 60 * 1000,
+  cacheControl = "no-cache",
+  varyBy = () => "",
+} = {}) {
+  const generations = new Map(); // namespace -> bumped on every invalidation
+
+  const namespaceOf = (req) => namespace || req.baseUrl || req.path;
+  const keyOf = (req) => `${namespaceOf(req)}:${varyBy(req)}:${req.originalUrl}`;
+
+  const invalidate = (name = namespace) => {
+    if (!name) throw new Error("invalidate() needs a namespace when the middleware has none");
+    generations.set(name, (generations.get(name) || 0) + 1);
+    return cache.deletePrefix(`${name}:`);
+  };
+
+  const middleware = (req, res, next) => {
+    const name = namespaceOf(req);
+
+    if (isWrite(req.method)) {
+      res.on("finish", () => {
+        if (res.statusCode < 400) invalidate(name);
+      });
+      return next();
+    }
+
+    if (req.method !== "GET" && req.method !== "HEAD") return next();
+
+    res.set("Cache-Control", cacheControl);
+    trackRoute(req);
+    const key = keyOf(req);
+    const cached = cache.get(key);
+
+    if (cached) {
+      setRouteTemplate(req, cached.route);
+      res.set(cached.headers).set("X-Cache", "HIT");
+      if (req.fresh) return res.status(304).end();
+      return res.status(200).send(cached.body);
+    }
+
+    res.set("X-Cache", "MISS");
+    const generation = generations.get(name) || 0;
+    const send = res.send;
+
+    res.send = function (body) {
+      // Objects come back through here as a JSON string via res.json()
+      if (body !== null && typeof body === "object" && !Buffer.isBuffer(body)) return send.call(this, body);
+      res.send = send;
+
+      if (res.statusCode === 200 && (typeof body === "string" || Buffer.isBuffer(body))) {
+        if (!res.get("ETag")) res.set("ETag", weakEtagFor(body));
+
+        if ((generations.get(name) || 0) === generation) {
+          const headers = {};
+          for (const header of CACHED_HEADERS) {
+            const value = res.get(header);
+            if (value !== undefined) headers[header] = value;
+          }
+          cache.set(key, { body, headers, route: routeTemplate(req) }, ttlMs);
+        }
+      }
+
+      // Express answers 304 itself when If-None-Match matches the ETag set above
+      return send.call(this, body);
+    };
+
+    next();
+  };
+
+  middleware.invalidate = invalidate;
+  middleware.cache = cache;
+  return middleware;
+}
+
+module.exports = { responseCache };
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+const { redactHeaders, DEFAULT_REDACT } = require("./requestLogger.middleware");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "captures", "requests.jsonl");
+const DEFAULT_REDACT_BODY = ["password", "refreshToken", "accessToken", "token", "secret"];
+
+// Masks sensitive top-level fields of a JSON body
+const redactBody = (body, redact) => {
+  if (body === null || typeof body !== "object" || Array.isArray(body)) return body;
+  return Object.fromEntries(
+    Object.entries(body).map(([key, value]) => [key, redact.has(key) ? "[REDACTED]" : value])
+  );
+};
+
+// CAPTURE_SAMPLE_RATE when set (0 turns capturing off), else every request
+const envSampleRate = () => {
+  const raw = process.env.CAPTURE_SAMPLE_RATE;
+  if (raw === undefined || raw.trim() === "") return 1;
+  const rate = Number(raw);
+  if (!(rate >= 0 && rate <= 1)) throw new Error(`CAPTURE_SAMPLE_RATE must be between 0 and 1, got "${raw}"`);
+  return rate;
+};
+
+/**
+ * Records traffic as JSON Lines, one request per line, for scripts/replay.js:
+ *
+ *   { timestamp, requestId, method, path, headers, status, latencyMs, body? }
+ *
+ * Mount it before express.json(): latency is measured from here and the
+ * parsed body is read once the response has finished. Credentials are
+ * masked in headers and top-level body fields, so replays of authenticated
+ * routes need fresh credentials (replay.js -H "Authorization: Bearer ...").
+ *
+ * The returned middleware has a close() method that flushes the file.
+ *
+ * @param {object} [options]
+ * @param {string} [options.file]            defaults to CAPTURE_FILE or captures/requests.jsonl
+ * @param {number} [options.sampleRate]      fraction of requests to record (0..1), defaults to CAPTURE_SAMPLE_RATE or 1
+ * @param {string[]} [options.redact]        header names to mask
+ * @param {string[]} [options.redactBody]    body fields to mask
+ * @param {number} [options.maxBodyBytes]    larger bodies are recorded as null
+ * @param {(req) => boolean} [options.skip]
+ */
+function capture({
+  file = process.env.CAPTURE_FILE || DEFAULT_FILE,
+  sampleRate = envSampleRate(),
+  redact = DEFAULT_REDACT,
+  redactBody: redactBodyFields = DEFAULT_REDACT_BODY,
+  maxBodyBytes = 64 * 1024,
+  skip = () => false,
+} = {}) {
+  if (typeof sampleRate !== "number" || !(sampleRate >= 0 && sampleRate <= 1)) {
+    throw new Error(`sampleRate must be between 0 and 1, got ${sampleRate}`);
+  }
+  const redactSet = new Set(redact.map((name) => name.toLowerCase()));
+  const redactBodySet = new Set(redactBodyFields);
+  let stream;
+
+  // Opened on first use so requiring the middleware never touches the disk
+  const write = (record) => {
+    if (!stream) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      stream = fs.createWriteStream(file, { flags: "a" });
+    }
+    stream.write(`${JSON.stringify(record)}\n`);
+  };
+
+  const middleware = (req, res, next) => {
+    if (skip(req) || Math.random() >= sampleRate) return next();
+
+    const start = process.hrtime.bigint();
+    const timestamp = new Date().toISOString();
+
+    res.on("finish", () => {
+      const size = Number(req.get("Content-Length")) || 0;
+      const record = {
+        timestamp,
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl,
+        headers: redactHeaders(req.headers, redactSet),
+        status: res.statusCode,
+        latencyMs: Math.round((Number(process.hrtime.bigint() - start) / 1e6) * 1000) / 1000,
+      };
+      // express.json() leaves {} on body-less requests, only record real bodies
+      if (size > 0 || req.get("Transfer-Encoding")) {
+        record.body = size > maxBodyBytes ? null : redactBody(req.body, redactBodySet);
+      }
+      write(record);
+    });
+
+    next();
+  };
+
+  middleware.close = () =>
+    new Promise((resolve) => {
+      if (!stream) return resolve();
+      stream.end(resolve);
+      stream = null;
+    });
+
+  return middleware;
+}
+
+module.exports = { capture };
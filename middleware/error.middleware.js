@@ -0,0 +1,70 @@
+const { HttpError, NotFoundError } = require("../lib/httpErrors");
+const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+
+// Place after all routes: anything unmatched becomes a 404 problem
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+};
+
+// body-parser and other libraries flag client errors with status/statusCode
+const toHttpError = (err) => {
+  if (err instanceof HttpError) return err;
+
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500) {
+    return new HttpError(status, err.expose === false ? undefined : err.message);
+  }
+
+  return new HttpError(500);
+};
+
+/**
+ * Final error middleware: answers with an RFC 7807 problem document.
+ *
+ *   { type, title, status, detail, instance, ...extensions }
+ *
+ * Outside production, 5xx responses include the stack trace. In production
+ * the message of unexpected errors is hidden too, since it may leak internals.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.exposeStack]  default: NODE_ENV !== "production"
+ * @param {Function} [options.onError]     (err, req, status) hook, e.g. for tracing
+ * @param {Function} [options.log]         where 5xx errors are reported (default: singleton Logger)
+ */
+const errorHandler =
+  ({
+    exposeStack = process.env.NODE_ENV !== "production",
+    onError,
+    log = (err, req) =>
+      new Logger().error(`${req.method} ${req.originalUrl} failed: ${err.message}`, {
+        requestId: req.id,
+        stack: err.stack,
+      }),
+  } = {}) =>
+  // Must have four parameters to be recognized as an error handler
+  (err, req, res, next) => {
+    const httpError = toHttpError(err);
+
+    if (httpError.status >= 500) log(err, req);
+    if (onError) onError(err, req, httpError.status);
+
+    // Headers are already on the wire: let Express close the connection
+    if (res.headersSent) return next(err);
+
+    // Unexpected errors only show their message outside production
+    const unexpected = httpError !== err && httpError.status >= 500;
+    const problem = {
+      type: httpError.type,
+      title: httpError.title,
+      status: httpError.status,
+      detail: unexpected && exposeStack ? err.message : httpError.message,
+      instance: req.originalUrl,
+      ...httpError.extensions,
+    };
+    if (exposeStack && httpError.status >= 500 && err.stack) problem.stack = err.stack.split("\n");
+
+    res.set(httpError.headers);
+    res.status(httpError.status).type("application/problem+json").json(problem);
+  };
+
+module.exports = { notFoundHandler, errorHandler };
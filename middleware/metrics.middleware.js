@@ -0,0 +1,56 @@
+const { registry: defaultRegistry, DEFAULT_BUCKETS } = require("../lib/metrics");
+const { trackRoute, routeTemplate } = require("../lib/routeTemplate");
+
+/**
+ * RED metrics for every request, labelled by route template so ids don't
+ * explode the series count:
+ *
+ *   http_requests_total{method,route,status_code}
+ *   http_request_duration_seconds{method,route,status_code}   histogram
+ *   http_requests_in_flight
+ *
+ * Unmatched requests (404s) get route="unmatched". Mount it after the
+ * health and /metrics routes so probes and scrapes aren't counted.
+ *
+ * @param {object} [options]
+ * @param {import("../lib/metrics").MetricsRegistry} [options.registry]
+ * @param {number[]} [options.buckets]  latency buckets in seconds
+ */
+function httpMetrics({ registry = defaultRegistry, buckets = DEFAULT_BUCKETS } = {}) {
+  const labelNames = ["method", "route", "status_code"];
+  const requests = registry.counter({ name: "http_requests_total", help: "HTTP requests handled", labelNames });
+  const duration = registry.histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request latency in seconds",
+    labelNames,
+    buckets,
+  });
+  const inFlight = registry.gauge({ name: "http_requests_in_flight", help: "HTTP requests being handled" });
+
+  return (req, res, next) => {
+    trackRoute(req);
+    const end = duration.startTimer();
+    inFlight.inc();
+
+    let done = false;
+    const record = () => {
+      if (done) return;
+      done = true;
+
+      const labels = {
+        method: req.method,
+        route: routeTemplate(req) || "unmatched",
+        status_code: res.writableFinished ? res.statusCode : 499, // 499: client closed request
+      };
+      end(labels);
+      requests.inc(labels);
+      inFlight.dec();
+    };
+
+    res.on("finish", record);
+    res.on("close", record);
+    next();
+  };
+}
+
+module.exports = { httpMetrics };
@@ -0,0 +1,90 @@
+const { RateLimiter } = require("../lib/rateLimiter");
+const { TooManyRequestsError } = require("../lib/httpErrors");
+
+const ipOf = (req) =>
+  req.ip || (req.socket && req.socket.remoteAddress) || req.remoteAddress || "unknown";
+
+// Key generators: which client a request is counted against
+const keyBy = {
+  ip: (req) => `ip:${ipOf(req)}`,
+  user: (req) => (req.user ? `user:${req.user.sub || req.user.id}` : null),
+  // req.apiKey is only set once the key is verified (authenticateApiKey()): keying on the
+  // raw X-API-Key header would give a client sending random keys a fresh bucket every time
+  apiKey: (req) => (req.apiKey ? `key:${req.apiKey}` : null),
+  // Most specific identity available, falling back to the IP
+  auto: (req) => keyBy.apiKey(req) || keyBy.user(req) || keyBy.ip(req),
+};
+
+const resolveKey = (req, key) => (typeof key === "function" ? key(req) : keyBy[key](req)) || keyBy.ip(req);
+
+/**
+ * Express middleware. Sets RateLimit-* headers on every response and fails
+ * with a 429 (plus Retry-After) once the client is over its limit.
+ *
+ *   app.use("/auth/login", rateLimit({ algorithm: "sliding-window", limit: 5, windowMs: 60_000 }));
+ *
+ * @param {object} options   RateLimiter options plus:
+ * @param {string|Function} [options.key]  "ip" | "user" | "apiKey" | "auto" or (req) => key
+ * @param {Function} [options.skip]        (req) => true to bypass the limiter
+ */
+function rateLimit({ key = "auto", skip, ...limiterOptions }) {
+  const limiter = new RateLimiter(limiterOptions);
+
+  const middleware = async (req, res, next) => {
+    if (skip && skip(req)) return next();
+
+    try {
+      const result = await limiter.consume(resolveKey(req, key));
+      const headers = limiter.headers(result);
+      res.set(headers);
+
+      if (!result.allowed) {
+        return next(
+          new TooManyRequestsError(`Rate limit exceeded, retry in ${headers["Retry-After"]}s`, { headers })
+        );
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  middleware.limiter = limiter;
+  return middleware;
+}
+
+/**
+ * Same limiter for the WebServer chain in DesignPatterns/6-middleware-pattern.js,
+ * whose middleware has the (req, next) signature. A limited request gets
+ * req.rateLimited and req.response = { status: 429, headers, body } and the
+ * chain stops there.
+ */
+function rateLimitWebServer({ key = "auto", skip, ...limiterOptions }) {
+  const limiter = new RateLimiter(limiterOptions);
+
+  const middleware = async (req, next) => {
+    if (skip && skip(req)) return next();
+
+    const result = await limiter.consume(resolveKey(req, key));
+    const headers = limiter.headers(result);
+    req.rateLimit = result;
+    req.responseHeaders = { ...req.responseHeaders, ...headers };
+
+    if (!result.allowed) {
+      req.rateLimited = true;
+      req.response = {
+        status: 429,
+        headers,
+        body: { title: "Too Many Requests", status: 429, detail: "Rate limit exceeded" },
+      };
+      return;
+    }
+
+    await next();
+  };
+
+  middleware.limiter = limiter;
+  return middleware;
+}
+
+module.exports = { rateLimit, rateLimitWebServer, keyBy };
@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+
+const DEFAULT_REDACT = ["authorization", "cookie", "set-cookie", "x-api-key", "proxy-authorization"];
+const DEFAULT_REDACT_QUERY = [
+  "token",
+  "access_token",
+  "refresh_token",
+  "id_token",
+  "api_key",
+  "apikey",
+  "key",
+  "password",
+  "secret",
+  "signature",
+  "sig",
+  "code",
+];
+
+// Accept the caller's id only if it looks like an id, not an injection attempt
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const redactHeaders = (headers, redact) =>
+  Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name, redact.has(name.toLowerCase()) ? "[REDACTED]" : value])
+  );
+
+// Masks the values of the query parameters in `redact` (case-insensitive;
+// "token[a]" counts as "token") and leaves the rest of the URL as sent
+const redactUrl = (url, redact) => {
+  const index = url.indexOf("?");
+  if (index === -1) return url;
+
+  const params = url
+    .slice(index + 1)
+    .split("&")
+    .map((param) => {
+      const [rawName] = param.split("=", 1);
+      // URLSearchParams decodes the name without throwing on bad escapes
+      const [name = ""] = new URLSearchParams(rawName).keys();
+      return redact.has(name.replace(/\[.*$/, "").toLowerCase()) ? `${rawName}=[REDACTED]` : param;
+    });
+  return `${url.slice(0, index)}?${params.join("&")}`;
+};
+
+/**
+ * Access log middleware: one structured entry per request, written through
+ * the singleton Logger when the response finishes (or the client aborts).
+ *
+ *   { timestamp, level, message, requestId, method, path, status,
+ *     latencyMs, bytes, ip, userAgent, headers }
+ *
+ * The request id comes from the incoming X-Request-Id header (or a new
+ * UUID), is exposed as req.id and echoed in the response header, so callers
+ * and downstream services can correlate their logs with ours.
+ *
+ * Entries end up in the in-memory buffer served on /admin/logs, so
+ * credentials are masked: the `redact` headers, and the values of the
+ * `redactQuery` parameters in the logged path (?token=[REDACTED]).
+ *
+ * @param {object} [options]
+ * @param {Logger} [options.logger]        defaults to the singleton
+ * @param {string[]} [options.redact]      header names to mask (case-insensitive)
+ * @param {string[]} [options.redactQuery] query parameter names to mask (case-insensitive)
+ * @param {boolean} [options.logHeaders]   include request headers (default: true)
+ * @param {string} [options.header]        correlation header name
+ */
+function requestLogger({
+  logger = new Logger(),
+  redact = DEFAULT_REDACT,
+  redactQuery = DEFAULT_REDACT_QUERY,
+  logHeaders = true,
+  header = "X-Request-Id",
+} = {}) {
+  const redactSet = new Set(redact.map((name) => name.toLowerCase()));
+  const redactQuerySet = new Set(redactQuery.map((name) => name.toLowerCase()));
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const incoming = req.get(header);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(header, req.id);
+
+    // Count what actually goes out: Content-Length is missing for streamed bodies
+    let bytes = 0;
+    const { write, end } = res;
+    res.write = function (chunk, encoding, ...rest) {
+      if (chunk) bytes += Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : undefined);
+      return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+      if (chunk && typeof chunk !== "function") {
+        bytes += Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : undefined);
+      }
+      return end.call(this, chunk, encoding, ...rest);
+    };
+
+    let logged = false;
+    const log = () => {
+      if (logged) return;
+      logged = true;
+
+      const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const status = res.writableFinished ? res.statusCode : 499; // 499: client closed request
+      const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+      const path = redactUrl(req.originalUrl, redactQuerySet);
+      const entry = {
+        type: "request",
+        requestId: req.id,
+        method: req.method,
+        path,
+        status,
+        latencyMs: Math.round(latencyMs * 1000) / 1000,
+        bytes,
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+      };
+      if (logHeaders) entry.headers = redactHeaders(req.headers, redactSet);
+
+      logger.log(`${req.method} ${path} ${status} ${entry.latencyMs}ms`, level, entry);
+    };
+
+    res.on("finish", log);
+    res.on("close", log);
+    next();
+  };
+}
+
+module.exports = { requestLogger, redactHeaders, redactUrl, DEFAULT_REDACT, DEFAULT_REDACT_QUERY };
@@ -0,0 +1,60 @@
+const { trackRoute, routeTemplate } = require("../lib/routeTemplate");
+
+/**
+ * Express middleware opening one server span per request with the tracer
+ * from datadog.js (lib/tracer.js facade). The span:
+ *
+ *   - continues the caller's trace when the request carries its context
+ *   - is active while the route runs, so tracer.trace() calls in handlers,
+ *     services or repositories (DB calls, fetches) become its children
+ *   - is named after the route template once routing is done: "GET /users/:id",
+ *     just the method for unmatched requests (keeps the span names bounded)
+ *   - is tagged with http.method, http.url, http.route, http.status_code and
+ *     request.id, and marked as an error for 5xx responses
+ *
+ * The span is exposed as req.span, e.g. for errorHandler's onError hook to
+ * record the exception on it.
+ *
+ * @param {object} options
+ * @param {import("../lib/tracer").Tracer} options.tracer
+ * @param {string} [options.operationName]  span name before the route is known
+ * @param {Function} [options.skip]         (req) => true to leave a request untraced
+ */
+function tracing({ tracer, operationName = "web.request", skip }) {
+  return (req, res, next) => {
+    if (skip && skip(req)) return next();
+
+    const span = tracer.startSpan(operationName, {
+      childOf: tracer.extract(req.headers),
+      tags: {
+        "span.kind": "server",
+        "http.method": req.method,
+        "http.url": req.originalUrl,
+      },
+    });
+    req.span = span;
+
+    trackRoute(req);
+
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+
+      const status = res.writableFinished ? res.statusCode : 499; // 499: client closed request
+      const template = routeTemplate(req);
+      span.setName(template ? `${req.method} ${template}` : req.method);
+      span.setTag("http.status_code", status);
+      if (template) span.setTag("http.route", template);
+      if (req.id) span.setTag("request.id", req.id);
+      if (status >= 500) span.setTag("error", true);
+      span.finish();
+    };
+
+    res.on("finish", finish);
+    res.on("close", finish);
+    tracer.withSpan(span, next);
+  };
+}
+
+module.exports = { tracing };
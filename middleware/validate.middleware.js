@@ -0,0 +1,16 @@
+const { validate } = require("../lib/schema");
+const { ValidationError } = require("../lib/httpErrors");
+
+// Replaces req.body with the validated (unknown fields stripped) payload,
+// or fails with a 422 ValidationError listing every failing field
+const validateBody =
+  (schema, { partial = false } = {}) =>
+  (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, { partial });
+    if (errors.length) return next(new ValidationError(errors));
+
+    req.body = value;
+    next();
+  };
+
+module.exports = { validateBody };
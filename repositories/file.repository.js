@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const MemoryRepository = require("./memory.repository");
+
+/**
+ * File-backed repository that survives restarts.
+ *
+ * Records are kept in memory and the whole collection is rewritten after
+ * every change. Two formats are supported, picked from the file extension
+ * unless `format` is given:
+ *   - json:  { "nextId": 3, "records": [ ... ] }
+ *   - jsonl: a { "nextId": 3 } header line followed by one record per line
+ *
+ * `nextId` is persisted so ids stay monotonic across restarts. Writes go to
+ * a temp file that is fsync'ed and renamed over the target, so a crash
+ * mid-write leaves either the old or the new file, never a torn one.
+ */
+class FileRepository extends MemoryRepository {
+  constructor(filePath, { format, seed = [] } = {}) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.format = format || (this.filePath.endsWith(".jsonl") ? "jsonl" : "json");
+
+    if (fs.existsSync(this.filePath)) {
+      this.load();
+    } else {
+      seed.forEach((record) => this.insert(record));
+      this.flush();
+    }
+  }
+
+  save(data) {
+    const result = super.save(data);
+    this.flush();
+    return result;
+  }
+
+  update(id, data) {
+    const result = super.update(id, data);
+    if (result.success) this.flush();
+    return result;
+  }
+
+  replace(id, data) {
+    const result = super.replace(id, data);
+    if (result.success) this.flush();
+    return result;
+  }
+
+  delete(id) {
+    const result = super.delete(id);
+    if (result.success) this.flush();
+    return result;
+  }
+
+  // Readiness check: fails when the data directory is no longer writable
+  ping() {
+    fs.accessSync(path.dirname(this.filePath), fs.constants.W_OK);
+    return true;
+  }
+
+  load() {
+    const content = fs.readFileSync(this.filePath, "utf8");
+    let state;
+
+    if (this.format === "jsonl") {
+      const lines = content.split("\n").filter((line) => line.trim());
+      const header = lines.length ? JSON.parse(lines[0]) : {};
+      const hasHeader = header.nextId !== undefined && header.id === undefined;
+      state = {
+        nextId: hasHeader ? header.nextId : undefined,
+        records: lines.slice(hasHeader ? 1 : 0).map((line) => JSON.parse(line)),
+      };
+    } else {
+      state = content.trim() ? JSON.parse(content) : { records: [] };
+    }
+
+    const records = state.records || [];
+    this.records = new Map(records.map((record) => [record.id, record]));
+
+    // Never go below max(id) + 1, even if the stored counter is missing or stale
+    const maxId = records.reduce((max, record) => Math.max(max, record.id), 0);
+    this.nextId = Math.max(state.nextId || 1, maxId + 1);
+  }
+
+  serialize() {
+    const records = this.findAll();
+
+    if (this.format === "jsonl") {
+      const lines = [{ nextId: this.nextId }, ...records].map((line) => JSON.stringify(line));
+      return lines.join("\n") + "\n";
+    }
+
+    return JSON.stringify({ nextId: this.nextId, records }, null, 2) + "\n";
+  }
+
+  flush() {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const fd = fs.openSync(tmpPath, "w");
+    try {
+      fs.writeSync(fd, this.serialize());
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = FileRepository;
@@ -0,0 +1,78 @@
+const { Database } = require("../SOLID/5-dependency-inversion");
+
+// Callers never get to choose an id, the repository owns them
+const withoutId = ({ id, ...fields }) => fields;
+
+/**
+ * In-memory repository implementing the Database contract from
+ * SOLID/5-dependency-inversion.js.
+ *
+ * Ids are monotonic integers: a deleted id is never handed out again, so
+ * clients holding an old id can't accidentally address a different record.
+ */
+class MemoryRepository extends Database {
+  constructor(seed = []) {
+    super();
+    this.records = new Map();
+    this.nextId = 1;
+    seed.forEach((record) => this.insert(record));
+  }
+
+  // Route params arrive as strings, stored ids are numbers
+  toKey(id) {
+    const key = Number(id);
+    return Number.isInteger(key) ? key : null;
+  }
+
+  insert(data) {
+    const id = this.nextId++;
+    this.records.set(id, { id, ...withoutId(data) });
+    return id;
+  }
+
+  save(data) {
+    const id = this.insert(data);
+    return { success: true, id };
+  }
+
+  find(id) {
+    const record = this.records.get(this.toKey(id));
+    return record ? { ...record } : null;
+  }
+
+  findAll() {
+    return Array.from(this.records.values()).map((record) => ({ ...record }));
+  }
+
+  update(id, data) {
+    const key = this.toKey(id);
+    if (!this.records.has(key)) {
+      return { success: false, error: "Record not found" };
+    }
+
+    this.records.set(key, { ...this.records.get(key), ...withoutId(data) });
+    return { success: true };
+  }
+
+  // Readiness check: the in-memory store is always available
+  ping() {
+    return true;
+  }
+
+  // Full replacement (PUT) rather than the merge done by update (PATCH)
+  replace(id, data) {
+    const key = this.toKey(id);
+    if (!this.records.has(key)) {
+      return { success: false, error: "Record not found" };
+    }
+
+    this.records.set(key, { id: key, ...withoutId(data) });
+    return { success: true };
+  }
+
+  delete(id) {
+    return { success: this.records.delete(this.toKey(id)) };
+  }
+}
+
+module.exports = MemoryRepository;
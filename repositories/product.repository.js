@@ -0,0 +1,25 @@
+const path = require("path");
+const MemoryRepository = require("./memory.repository");
+const FileRepository = require("./file.repository");
+
+const seedProducts = [
+  { name: "Laptop", price: 1000 },
+  { name: "Mobile", price: 500 },
+];
+
+/**
+ * Build the products store. Defaults come from the environment:
+ *   PRODUCTS_STORE=memory|file           (default: memory)
+ *   PRODUCTS_FILE=./data/products.json   (.jsonl switches to JSON Lines)
+ */
+function createProductRepository({
+  store = process.env.PRODUCTS_STORE || "memory",
+  file = process.env.PRODUCTS_FILE || path.join(__dirname, "..", "data", "products.json"),
+} = {}) {
+  if (store === "memory") return new MemoryRepository(seedProducts);
+  if (store === "file") return new FileRepository(file, { seed: seedProducts });
+
+  throw new Error(`Unknown products store "${store}" (expected "memory" or "file")`);
+}
+
+module.exports = { createProductRepository };
@@ -0,0 +1,22 @@
+const path = require("path");
+const MemoryRepository = require("./memory.repository");
+const FileRepository = require("./file.repository");
+
+const seedUsers = [{ name: "Yogesh" }, { name: "Rahul" }];
+
+/**
+ * Build the users store. Defaults come from the environment:
+ *   USERS_STORE=memory|file        (default: memory)
+ *   USERS_FILE=./data/users.json   (.jsonl switches to JSON Lines)
+ */
+function createUserRepository({
+  store = process.env.USERS_STORE || "memory",
+  file = process.env.USERS_FILE || path.join(__dirname, "..", "data", "users.json"),
+} = {}) {
+  if (store === "memory") return new MemoryRepository(seedUsers);
+  if (store === "file") return new FileRepository(file, { seed: seedUsers });
+
+  throw new Error(`Unknown users store "${store}" (expected "memory" or "file")`);
+}
+
+module.exports = { createUserRepository };
@@ -0,0 +1,77 @@
+const express = require("express");
+const asyncHandler = require("../lib/asyncHandler");
+const { documented } = require("../lib/openapi");
+
+const schemas = {
+  TokenPair: {
+    type: "object",
+    properties: {
+      tokenType: { type: "string", example: "Bearer" },
+      accessToken: { type: "string", description: "HS256 JWT, send as Authorization: Bearer <token>" },
+      expiresIn: { type: "integer", description: "Access token lifetime in seconds", example: 900 },
+      refreshToken: { type: "string", description: "Opaque, single use" },
+    },
+  },
+  LoginRequest: {
+    type: "object",
+    required: ["username", "password"],
+    properties: { username: { type: "string" }, password: { type: "string" } },
+  },
+  RefreshRequest: {
+    type: "object",
+    required: ["refreshToken"],
+    properties: { refreshToken: { type: "string" } },
+  },
+};
+
+const refreshBody = { schema: "RefreshRequest", example: { refreshToken: "{{refreshToken}}" } };
+
+/**
+ * POST /auth/login    { username, password } -> token pair
+ * POST /auth/refresh  { refreshToken }       -> new token pair (old one is retired)
+ * POST /auth/logout   { refreshToken }       -> 204, revokes the session
+ */
+function createAuthRouter(authService) {
+  const router = express.Router();
+  const api = documented(router, { schemas });
+
+  api.post(
+    "/login",
+    {
+      summary: "Log in with username and password",
+      body: { schema: "LoginRequest", example: { username: "admin", password: "admin123" } },
+      captures: { accessToken: "accessToken", refreshToken: "refreshToken" },
+      responses: { 200: { schema: "TokenPair" }, 401: "Invalid credentials", 429: "Too many login attempts" },
+    },
+    asyncHandler(async (req, res) => {
+      const { username, password } = req.body || {};
+      res.json(await authService.login(username, password));
+    })
+  );
+
+  api.post(
+    "/refresh",
+    {
+      summary: "Exchange a refresh token for a new token pair",
+      body: refreshBody,
+      captures: { accessToken: "accessToken", refreshToken: "refreshToken" },
+      responses: { 200: { schema: "TokenPair" }, 401: "Refresh token invalid, expired or already used" },
+    },
+    (req, res) => {
+      res.json(authService.refresh((req.body || {}).refreshToken));
+    }
+  );
+
+  api.post(
+    "/logout",
+    { summary: "Revoke the session of a refresh token", body: refreshBody, responses: { 204: "Logged out" } },
+    (req, res) => {
+      authService.revoke((req.body || {}).refreshToken);
+      res.status(204).send();
+    }
+  );
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,143 @@
+const express = require("express");
+const asyncHandler = require("../lib/asyncHandler");
+const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+const { parseLogQuery, LogQueryError } = require("../lib/logQuery");
+const { documented } = require("../lib/openapi");
+
+const schemas = {
+  LogEntry: {
+    type: "object",
+    properties: {
+      timestamp: { type: "string", format: "date-time" },
+      level: { type: "string", enum: ["error", "warn", "info", "debug"] },
+      message: { type: "string" },
+    },
+    additionalProperties: true,
+    example: { timestamp: "2024-05-01T12:00:00.000Z", level: "warn", message: "GET /products 404 1.2ms", requestId: "abc" },
+  },
+};
+
+const filters = {
+  level: "Minimum level: warn returns warn and error",
+  levels: "Exact levels, comma separated (info,error)",
+  since: "ISO date, epoch ms or a duration back from now (90s, 15m, 2h, 1d)",
+  until: "Same formats as since, exclusive",
+  q: "Case-insensitive text in the message",
+  regex: "Regular expression tested against the message",
+  "field.<name>": "Field equals value, e.g. field.requestId=abc or field.headers.host=localhost",
+};
+
+// Query parameters that narrow a DELETE; any other (limit, order, a typo)
+// would be ignored and the whole buffer cleared
+const FILTER_PARAM = /^(level|levels|since|until|q|text|regex|field(\..+)?)$/;
+
+// Keeps proxies and load balancers from closing an idle event stream
+const HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * Debugging access to the singleton Logger's in-memory buffer:
+ *
+ * GET    /admin/logs        buffered entries matching the filters (+ limit, order)
+ * GET    /admin/logs/tail   live entries matching the filters, as Server-Sent Events;
+ *                           ?replay=N first sends the last N buffered matches
+ * DELETE /admin/logs        removes the matching entries (all without filters);
+ *                           only filters are accepted, so limit/order are a 400
+ *
+ * Filters are documented in lib/logQuery.js. The router has no access control
+ * of its own: mount it behind authenticate() + authorize("admin") or an admin
+ * token, since logs carry request data. router.close() ends the open tails;
+ * call it from lifecycle.onDrain() so they don't hold up a graceful shutdown.
+ */
+function createLogsRouter({ logger = new Logger() } = {}) {
+  const router = express.Router();
+  const api = documented(router, { schemas });
+  const streams = new Set(); // AbortControllers of the open tails
+
+  api.get(
+    "/",
+    {
+      summary: "Query the in-memory log buffer",
+      query: {
+        ...filters,
+        limit: { description: "Newest N matches", schema: { type: "integer", minimum: 1 } },
+        order: { description: "asc (oldest first, default) or desc", schema: { type: "string", enum: ["asc", "desc"] } },
+      },
+      responses: {
+        200: {
+          schema: {
+            type: "object",
+            properties: { count: { type: "integer" }, entries: { type: "array", items: { $ref: "#/components/schemas/LogEntry" } } },
+          },
+        },
+        400: "Invalid filter",
+      },
+    },
+    (req, res) => {
+      const entries = logger.query(parseLogQuery(req.query));
+      res.json({ count: entries.length, entries });
+    }
+  );
+
+  api.get(
+    "/tail",
+    {
+      summary: "Stream new log entries (Server-Sent Events)",
+      query: { ...filters, replay: { description: "Send the last N buffered matches first", schema: { type: "integer", minimum: 1 } } },
+      responses: { 200: { description: "One `data:` event per entry", contentType: "text/event-stream", schema: { type: "string" } }, 400: "Invalid filter" },
+    },
+    asyncHandler(async (req, res) => {
+      const query = parseLogQuery(req.query);
+      const replay = req.query.replay ? logger.query({ ...query, limit: Number(req.query.replay) }) : [];
+
+      const abort = new AbortController();
+      const tail = logger.tail(query, { signal: abort.signal });
+      streams.add(abort);
+      res.on("close", () => abort.abort());
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      const send = (entry) => res.write(`data: ${JSON.stringify(entry)}\n\n`);
+      replay.forEach(send);
+
+      const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+      try {
+        for await (const entry of tail) send(entry);
+      } finally {
+        clearInterval(heartbeat);
+        streams.delete(abort);
+        res.end();
+      }
+    })
+  );
+
+  api.delete(
+    "/",
+    {
+      summary: "Remove entries from the in-memory log buffer",
+      query: filters,
+      responses: {
+        200: { schema: { type: "object", properties: { removed: { type: "integer" } } } },
+        400: "Invalid filter, or a parameter that isn't a filter (limit, order)",
+      },
+    },
+    (req, res) => {
+      const unsupported = Object.keys(req.query).filter((key) => !FILTER_PARAM.test(key));
+      if (unsupported.length) {
+        throw new LogQueryError(`DELETE only takes filters, not ${unsupported.join(", ")}`);
+      }
+      const query = parseLogQuery(req.query);
+      const filtered = Object.keys(req.query).length > 0;
+      res.json({ removed: logger.clearLogs(filtered ? query : undefined) });
+    }
+  );
+
+  router.close = () => streams.forEach((abort) => abort.abort());
+
+  return router;
+}
+
+module.exports = createLogsRouter;
@@ -0,0 +1,197 @@
+const crypto = require("crypto");
+const express = require("express");
+const { validateBody } = require("../middleware/validate.middleware");
+const { sendList } = require("../lib/listQuery");
+const { NotFoundError, PreconditionFailedError } = require("../lib/httpErrors");
+const { documented, toJsonSchema } = require("../lib/openapi");
+const { registry } = require("../lib/metrics");
+const productSchema = require("../schemas/product.schema");
+
+const listFields = ["id", ...Object.keys(productSchema)];
+
+const productInput = toJsonSchema(productSchema);
+const schemas = {
+  ProductInput: productInput,
+  Product: {
+    ...productInput,
+    properties: { id: { type: "integer", example: 1 }, ...productInput.properties },
+    required: ["id", ...productInput.required],
+  },
+};
+
+const example = { name: "Tablet", price: 300, sku: "TAB-300", stock: 12, tags: ["electronics"] };
+const etagHeader = { ETag: "Strong validator of the returned product, send it back in If-Match" };
+const ifMatch = { "If-Match": "ETag from a previous read; 412 if the product changed since" };
+
+// Strong validator derived from the stored representation, so any change
+// to a product (from any client) changes its ETag
+const etagFor = (product) =>
+  `"${crypto.createHash("sha1").update(JSON.stringify(product)).digest("base64url")}"`;
+
+// If-Match uses strong comparison: weak tags (W/"...") never match
+const ifMatchSatisfied = (header, etag) => {
+  if (!header) return true;
+  return header
+    .split(",")
+    .map((tag) => tag.trim())
+    .some((tag) => tag === "*" || tag === etag);
+};
+
+/**
+ * /products resource routes.
+ *
+ * GET/PUT/PATCH/DELETE on /:id send an ETag; PUT, PATCH and DELETE honour
+ * If-Match and answer 412 when the product changed since the client read it.
+ *
+ * Bodies are validated against schemas/product.schema.js (422 on failure);
+ * PATCH accepts any subset of the fields.
+ *
+ * `authorizeWrite` guards POST, PUT, PATCH and DELETE (e.g. authorize("admin")).
+ *
+ * Routes carry OpenAPI metadata, see lib/openapi.js.
+ */
+function createProductRouter(products, { authorizeWrite = (req, res, next) => next() } = {}) {
+  const router = express.Router();
+  const productsCreated = registry.counter({ name: "products_created_total", help: "Products created through the API" });
+  const api = documented(router, { schemas });
+  const roles = authorizeWrite.roles;
+
+  // Loads the :id product and, on writes, checks If-Match against it
+  const loadProduct = (req, res, next) => {
+    const product = products.find(req.params.id);
+    if (!product) return next(new NotFoundError("Product not found"));
+
+    req.product = product;
+    req.productEtag = etagFor(product);
+
+    if (req.method !== "GET" && req.method !== "HEAD" && !ifMatchSatisfied(req.get("If-Match"), req.productEtag)) {
+      return next(
+        new PreconditionFailedError("Product was modified by someone else, fetch it again before retrying")
+      );
+    }
+
+    next();
+  };
+
+  const sendProduct = (res, id, status = 200) => {
+    const product = products.find(id);
+    res.status(status).set("ETag", etagFor(product)).json(product);
+  };
+
+  // Supports ?price[gte]=500&sort=-price&page=1&pageSize=20 etc., see lib/listQuery.js
+  api.get(
+    "/",
+    {
+      summary: "List products",
+      description: "Filter with field[op]=value (eq, ne, gt, gte, lt, lte, contains, startsWith, in), e.g. price[gte]=500",
+      list: true,
+      responses: { 200: { schema: "Product[]" }, 400: "Invalid filter, sort or paging parameter" },
+    },
+    (req, res) => {
+      sendList(req, res, products.findAll(), { fields: listFields });
+    }
+  );
+
+  api.post(
+    "/",
+    {
+      summary: "Create a product",
+      roles,
+      body: { schema: "ProductInput", example },
+      responses: {
+        201: { schema: "Product", headers: { Location: "URL of the new product", ...etagHeader } },
+        422: "Validation failed",
+      },
+    },
+    authorizeWrite,
+    validateBody(productSchema),
+    (req, res) => {
+      const { id } = products.save(req.body);
+      productsCreated.inc();
+      res.location(`${req.baseUrl}/${id}`);
+      sendProduct(res, id, 201);
+    }
+  );
+
+  api.get(
+    "/:id",
+    {
+      summary: "Get a product",
+      params: { id: "Product id" },
+      responses: { 200: { schema: "Product", headers: etagHeader }, 404: "Product not found" },
+    },
+    loadProduct,
+    (req, res) => {
+      res.set("ETag", req.productEtag).json(req.product);
+    }
+  );
+
+  api.put(
+    "/:id",
+    {
+      summary: "Replace a product",
+      params: { id: "Product id" },
+      headers: ifMatch,
+      roles,
+      body: { schema: "ProductInput", example },
+      responses: {
+        200: { schema: "Product", headers: etagHeader },
+        404: "Product not found",
+        412: "If-Match does not match the current ETag",
+        422: "Validation failed",
+      },
+    },
+    authorizeWrite,
+    loadProduct,
+    validateBody(productSchema),
+    (req, res) => {
+      products.replace(req.product.id, req.body);
+      sendProduct(res, req.product.id);
+    }
+  );
+
+  api.patch(
+    "/:id",
+    {
+      summary: "Update some fields of a product",
+      params: { id: "Product id" },
+      headers: ifMatch,
+      roles,
+      body: { schema: productSchema, partial: true, example: { price: 950 } },
+      responses: {
+        200: { schema: "Product", headers: etagHeader },
+        404: "Product not found",
+        412: "If-Match does not match the current ETag",
+        422: "Validation failed",
+      },
+    },
+    authorizeWrite,
+    loadProduct,
+    validateBody(productSchema, { partial: true }),
+    (req, res) => {
+      products.update(req.product.id, req.body);
+      sendProduct(res, req.product.id);
+    }
+  );
+
+  api.delete(
+    "/:id",
+    {
+      summary: "Delete a product",
+      params: { id: "Product id" },
+      headers: ifMatch,
+      roles,
+      responses: { 204: "Deleted", 404: "Product not found", 412: "If-Match does not match the current ETag" },
+    },
+    authorizeWrite,
+    loadProduct,
+    (req, res) => {
+      products.delete(req.product.id);
+      res.status(204).send();
+    }
+  );
+
+  return router;
+}
+
+module.exports = createProductRouter;
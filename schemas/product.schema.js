@@ -0,0 +1,10 @@
+const productSchema = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+  price: { type: "number", required: true, min: 0, max: 1000000 },
+  sku: { type: "string", pattern: /^[A-Z0-9-]{3,32}$/ },
+  description: { type: "string", maxLength: 1000 },
+  stock: { type: "integer", min: 0 },
+  tags: { type: "array", maxLength: 10, items: { type: "string", minLength: 1, maxLength: 30 } },
+};
+
+module.exports = productSchema;
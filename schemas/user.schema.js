@@ -0,0 +1,7 @@
+const userSchema = {
+  name: { type: "string", required: true, minLength: 2, maxLength: 50, pattern: /^[\p{L}][\p{L} .'-]*$/u },
+  email: { type: "string", maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  age: { type: "integer", min: 0, max: 150 },
+};
+
+module.exports = userSchema;
@@ -0,0 +1,49 @@
+/**
+ * Runs one of the apps across several worker processes.
+ *
+ *   node scripts/cluster.js <app module> [options]
+ *   node scripts/cluster.js express.js --workers 4 --port 3111 --stats-port 9100
+ *
+ *   --workers <n>      worker count (default WEB_CONCURRENCY or the number of CPUs)
+ *   --port <n>         sets PORT for the workers
+ *   --stats-port <n>   serve per-worker stats as JSON on http://localhost:<n>/stats
+ *
+ * Signals to the primary process:
+ *   SIGHUP    zero-downtime rolling restart (picks up code changes)
+ *   SIGUSR2   log per-worker stats
+ *   SIGTERM   drain all workers and exit (SIGINT / Ctrl-C too)
+ */
+
+const { createCluster } = require("../lib/cluster");
+const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+
+function parseArgs(argv) {
+  const options = { env: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const number = () => {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < 0) throw new Error(`${arg} needs a non-negative integer`);
+      return value;
+    };
+
+    if (arg === "--workers") options.workers = number();
+    else if (arg === "--port") options.env.PORT = String(number());
+    else if (arg === "--stats-port") options.statsPort = number();
+    else if (arg.startsWith("-")) throw new Error(`Unknown option ${arg}`);
+    else options.script = arg;
+  }
+
+  if (!options.script) throw new Error("Usage: node scripts/cluster.js <app module> [--workers n] [--port n] [--stats-port n]");
+  if (options.workers === 0) throw new Error("--workers must be at least 1");
+  return options;
+}
+
+try {
+  new Logger().configure({ format: process.env.LOG_FORMAT || "json" });
+  createCluster(parseArgs(process.argv.slice(2))).start();
+} catch (err) {
+  console.error(`cluster: ${err.message}`);
+  process.exitCode = 2;
+}
@@ -0,0 +1,167 @@
+/**
+ * Invokes a Lambda handler locally with a sample event (see lib/lambdaHarness.js).
+ *
+ *   node scripts/invoke-lambda.js [module[#export]] [options]
+ *
+ *   module                 handler module (default datadog-lambda.js), export (default handler)
+ *   --event <kind|file>    apigw-v1 | apigw-v2 | sqs | eventbridge | path to an event JSON (default apigw-v2)
+ *   --method <verb>        API Gateway events (default GET)
+ *   --path <path?query>    API Gateway events (default /)
+ *   -H, --header "K: V"    API Gateway events, repeatable
+ *   --body <json|text>     API Gateway events
+ *   --message <json|text>  SQS message body, repeatable (default one {})
+ *   --source <name>        EventBridge source
+ *   --detail-type <type>   EventBridge detail-type
+ *   --detail <json>        EventBridge detail
+ *   --timeout <ms>         function timeout (default 3000)
+ *   --memory <mb>          memory size reported in the context (default 128)
+ *   --times <n>            invoke n times; only the first is a cold start (default 1)
+ *   --real-datadog         use datadog-lambda-js even offline (default: DD_LAMBDA_WRAPPER=stub)
+ *   -h, --help             print this help
+ *
+ * Examples:
+ *   node scripts/invoke-lambda.js datadog-lambda.js#api --path "/products?limit=1" -H "Authorization: Bearer $TOKEN"
+ *   node scripts/invoke-lambda.js --event sqs --message '{"orderId":1}' --message '{"orderId":2}'
+ *
+ * Prints the result (or the error payload) and a REPORT line per invocation.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { invoke, events } = require("../lib/lambdaHarness");
+
+// The comment at the top of this file, without its comment markers
+const usage = () => {
+  const [, comment] = fs.readFileSync(__filename, "utf8").match(/^\/\*\*\n([\s\S]*?)\n \*\//);
+  return comment.replace(/^ \*( |$)/gm, "");
+};
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+};
+
+function parseArgs(argv) {
+  const options = {
+    module: "datadog-lambda.js",
+    exportName: "handler",
+    event: "apigw-v2",
+    method: "GET",
+    path: "/",
+    headers: {},
+    body: undefined,
+    messages: [],
+    source: undefined,
+    detailType: undefined,
+    detail: undefined,
+    timeoutMs: 3000,
+    memoryLimitInMB: 128,
+    times: 1,
+    realDatadog: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    if (arg === "--event") options.event = value();
+    else if (arg === "--method") options.method = value().toUpperCase();
+    else if (arg === "--path") options.path = value();
+    else if (arg === "--body") options.body = value();
+    else if (arg === "--message") options.messages.push(parseJson(value()));
+    else if (arg === "--source") options.source = value();
+    else if (arg === "--detail-type") options.detailType = value();
+    else if (arg === "--detail") options.detail = parseJson(value());
+    else if (arg === "--timeout") options.timeoutMs = Number(value());
+    else if (arg === "--memory") options.memoryLimitInMB = Number(value());
+    else if (arg === "--times") options.times = Number(value());
+    else if (arg === "--real-datadog") options.realDatadog = true;
+    else if (arg === "-h" || arg === "--help") options.help = true;
+    else if (arg === "-H" || arg === "--header") {
+      const header = value();
+      const colon = header.indexOf(":");
+      if (colon < 1) throw new Error(`Invalid header "${header}", expected "Name: value"`);
+      options.headers[header.slice(0, colon).trim()] = header.slice(colon + 1).trim();
+    } else if (arg.startsWith("-")) throw new Error(`Unknown option ${arg} (see --help)`);
+    else {
+      const [file, exportName] = arg.split("#");
+      options.module = file;
+      if (exportName) options.exportName = exportName;
+    }
+  }
+
+  for (const name of ["timeoutMs", "memoryLimitInMB", "times"]) {
+    if (!Number.isInteger(options[name]) || options[name] < 1) throw new Error(`${name} must be a positive integer`);
+  }
+
+  return options;
+}
+
+function buildEvent(options) {
+  const http = { method: options.method, path: options.path, headers: options.headers, body: options.body };
+
+  switch (options.event) {
+    case "apigw-v1":
+      return events.apiGatewayV1(http);
+    case "apigw-v2":
+      return events.apiGatewayV2(http);
+    case "sqs":
+      return events.sqs(options.messages.length ? options.messages : [{}]);
+    case "eventbridge":
+      return events.eventBridge({ source: options.source, detailType: options.detailType, detail: options.detail });
+    default:
+      return JSON.parse(fs.readFileSync(options.event, "utf8"));
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(usage());
+    return 0;
+  }
+  if (!options.realDatadog && !process.env.DD_LAMBDA_WRAPPER) process.env.DD_LAMBDA_WRAPPER = "stub";
+
+  const handler = require(path.resolve(options.module))[options.exportName];
+  if (typeof handler !== "function") throw new Error(`${options.module} has no "${options.exportName}" export`);
+
+  let failed = false;
+  for (let i = 0; i < options.times; i++) {
+    const outcome = await invoke(handler, buildEvent(options), {
+      functionName: path.basename(options.module, ".js"),
+      timeoutMs: options.timeoutMs,
+      memoryLimitInMB: options.memoryLimitInMB,
+    });
+
+    console.log(JSON.stringify(outcome.error || outcome.result, null, 2));
+    const memoryMb = Math.round(process.memoryUsage.rss() / 1024 / 1024);
+    console.log(
+      `REPORT RequestId: ${outcome.requestId}\tDuration: ${outcome.durationMs} ms\tBilled Duration: ${outcome.billedDurationMs} ms\t` +
+        `Memory Size: ${options.memoryLimitInMB} MB\tMax Memory Used: ${memoryMb} MB${outcome.coldStart ? "\tCold Start" : ""}`
+    );
+    if (outcome.error) failed = true;
+  }
+
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  // Exit explicitly: handlers may leave sockets or timers behind, like a
+  // Lambda container that gets frozen between invocations
+  main().then(
+    (code) => process.exit(code),
+    (err) => {
+      console.error(`invoke-lambda: ${err.message}`);
+      process.exit(2);
+    }
+  );
+}
+
+module.exports = { parseArgs, buildEvent };
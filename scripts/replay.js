@@ -0,0 +1,218 @@
+/**
+ * Replays a traffic capture (see middleware/capture.middleware.js) against a
+ * server and reports latency percentiles and error rates.
+ *
+ *   node scripts/replay.js [capture.jsonl] [options]
+ *
+ *   --target <url>        server to hit (default http://localhost:3111)
+ *   --rate <n>            requests started per second, 0 = as fast as possible (default 0)
+ *   --concurrency <n>     max requests in flight (default 10)
+ *   --requests <n>        total requests; the capture is looped if needed (default: one pass)
+ *   --timeout <ms>        per request (default 10000)
+ *   -H, --header "K: V"   extra/override header, repeatable (e.g. a fresh Authorization)
+ *   --json                print the report as JSON
+ *
+ * A request counts as an error when it fails at the network level, times
+ * out or gets a 5xx. Responses whose status differs from the recorded one
+ * are reported separately as mismatches.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { performance } = require("perf_hooks");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "captures", "requests.jsonl");
+
+// Set by fetch itself, or specific to the recorded connection
+const SKIP_HEADERS = new Set(["host", "connection", "content-length", "transfer-encoding", "keep-alive", "x-request-id"]);
+
+function parseArgs(argv) {
+  const options = {
+    file: DEFAULT_FILE,
+    target: "http://localhost:3111",
+    rate: 0,
+    concurrency: 10,
+    requests: 0,
+    timeout: 10000,
+    headers: {},
+    json: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    if (arg === "--target") options.target = value().replace(/\/$/, "");
+    else if (arg === "--rate") options.rate = Number(value());
+    else if (arg === "--concurrency") options.concurrency = Number(value());
+    else if (arg === "--requests") options.requests = Number(value());
+    else if (arg === "--timeout") options.timeout = Number(value());
+    else if (arg === "--json") options.json = true;
+    else if (arg === "-H" || arg === "--header") {
+      const header = value();
+      const colon = header.indexOf(":");
+      if (colon < 1) throw new Error(`Invalid header "${header}", expected "Name: value"`);
+      options.headers[header.slice(0, colon).trim().toLowerCase()] = header.slice(colon + 1).trim();
+    } else if (arg.startsWith("-")) throw new Error(`Unknown option ${arg}`);
+    else options.file = arg;
+  }
+
+  for (const name of ["rate", "concurrency", "requests", "timeout"]) {
+    if (!Number.isFinite(options[name]) || options[name] < 0) throw new Error(`--${name} must be a non-negative number`);
+  }
+  if (options.concurrency < 1) throw new Error("--concurrency must be at least 1");
+
+  return options;
+}
+
+function loadCapture(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${file}:${index + 1}: invalid JSON (${err.message})`);
+      }
+    });
+}
+
+function toFetchOptions(record, overrides) {
+  const headers = {};
+  for (const [name, value] of Object.entries(record.headers || {})) {
+    if (!SKIP_HEADERS.has(name) && value !== "[REDACTED]") headers[name] = value;
+  }
+  Object.assign(headers, overrides);
+
+  const options = { method: record.method, headers };
+  if (record.body !== undefined && record.body !== null && !["GET", "HEAD"].includes(record.method)) {
+    options.body = typeof record.body === "string" ? record.body : JSON.stringify(record.body);
+    if (!headers["content-type"]) headers["content-type"] = "application/json";
+  }
+  return options;
+}
+
+// Nearest-rank percentile of an ascending array
+const percentile = (sorted, p) =>
+  sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)] : 0;
+
+const round = (ms) => Math.round(ms * 100) / 100;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function replay(records, { target, rate, concurrency, requests, timeout, headers }) {
+  const total = requests || records.length;
+  const results = [];
+  const inFlight = new Set();
+  const started = performance.now();
+
+  const fire = async (record) => {
+    const options = toFetchOptions(record, headers);
+    const begin = performance.now();
+    try {
+      const res = await fetch(`${target}${record.path}`, { ...options, signal: AbortSignal.timeout(timeout) });
+      await res.arrayBuffer();
+      results.push({ status: res.status, expected: record.status, latencyMs: performance.now() - begin });
+    } catch (err) {
+      const reason = err.name === "TimeoutError" ? "timeout" : (err.cause && err.cause.code) || err.message;
+      results.push({ error: reason, latencyMs: performance.now() - begin });
+    }
+  };
+
+  for (let i = 0; i < total; i++) {
+    if (rate > 0) {
+      const due = started + (i * 1000) / rate;
+      const wait = due - performance.now();
+      if (wait > 0) await sleep(wait);
+    }
+
+    // Open-loop until the concurrency cap, then wait for a slot
+    while (inFlight.size >= concurrency) await Promise.race(inFlight);
+
+    const request = fire(records[i % records.length]).finally(() => inFlight.delete(request));
+    inFlight.add(request);
+  }
+
+  await Promise.all(inFlight);
+  return { results, durationMs: performance.now() - started };
+}
+
+function summarize({ results, durationMs }) {
+  const latencies = results.map((result) => result.latencyMs).sort((a, b) => a - b);
+  const statuses = {};
+  const networkErrors = {};
+  let errors = 0;
+  let mismatches = 0;
+
+  for (const result of results) {
+    if (result.error) {
+      errors++;
+      networkErrors[result.error] = (networkErrors[result.error] || 0) + 1;
+      continue;
+    }
+    statuses[result.status] = (statuses[result.status] || 0) + 1;
+    if (result.status >= 500) errors++;
+    if (result.expected !== undefined && result.expected !== result.status) mismatches++;
+  }
+
+  return {
+    requests: results.length,
+    durationMs: round(durationMs),
+    throughput: round((results.length / durationMs) * 1000),
+    latencyMs: {
+      min: round(latencies[0] || 0),
+      p50: round(percentile(latencies, 50)),
+      p95: round(percentile(latencies, 95)),
+      p99: round(percentile(latencies, 99)),
+      max: round(latencies[latencies.length - 1] || 0),
+    },
+    errors,
+    errorRate: results.length ? round((errors / results.length) * 100) / 100 : 0,
+    statusMismatches: mismatches,
+    statuses,
+    networkErrors,
+  };
+}
+
+function printReport(report, options) {
+  const { latencyMs } = report;
+  console.log(`Replayed ${report.requests} requests from ${options.file} against ${options.target}`);
+  console.log(`  duration      ${report.durationMs} ms (${report.throughput} req/s)`);
+  console.log(`  latency       p50 ${latencyMs.p50} ms  p95 ${latencyMs.p95} ms  p99 ${latencyMs.p99} ms  max ${latencyMs.max} ms`);
+  console.log(`  errors        ${report.errors} (${(report.errorRate * 100).toFixed(2)}%, network errors, timeouts and 5xx)`);
+  console.log(`  mismatches    ${report.statusMismatches} (status differs from the capture)`);
+  console.log(`  statuses      ${Object.entries(report.statuses).map(([status, count]) => `${status}: ${count}`).join(", ") || "-"}`);
+  if (Object.keys(report.networkErrors).length) {
+    console.log(`  network       ${Object.entries(report.networkErrors).map(([code, count]) => `${code}: ${count}`).join(", ")}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const records = loadCapture(options.file);
+  if (!records.length) throw new Error(`${options.file} has no requests`);
+
+  const report = summarize(await replay(records, options));
+  if (options.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report, options);
+
+  return report.errors ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (err) => {
+      console.error(`replay: ${err.message}`);
+      process.exitCode = 2;
+    }
+  );
+}
+
+module.exports = { parseArgs, loadCapture, replay, summarize, percentile };
@@ -0,0 +1,177 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("../lib/jwt");
+const { UnauthorizedError } = require("../lib/httpErrors");
+const { Logger } = require("../DesignPatterns/2-singleton-pattern");
+
+const scrypt = promisify(crypto.scrypt);
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString("hex")) =>
+  `${salt}:${crypto.scryptSync(password, salt, 32).toString("hex")}`;
+
+// Compared against when the username is unknown, see login()
+const dummyPasswordHash = hashPassword("");
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Demo accounts; pass `users` to AuthService to use your own
+const defaultUsers = () => [
+  { id: 1, username: "admin", passwordHash: hashPassword("admin123"), role: "admin" },
+  { id: 2, username: "testuser", passwordHash: hashPassword("test123"), role: "user" },
+];
+
+/**
+ * Local login/refresh flow.
+ *
+ * Access tokens are short-lived HS256 JWTs. Refresh tokens are opaque random
+ * strings (only their hash is stored) that rotate on every use: each refresh
+ * returns a new pair and retires the old refresh token. Every login starts a
+ * session; presenting a retired refresh token again means it leaked, so the
+ * whole session is revoked, including its outstanding access tokens.
+ */
+class AuthService {
+  constructor({
+    secret = process.env.JWT_SECRET,
+    users = defaultUsers(),
+    accessTokenTtl = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60,
+    refreshTokenTtl = Number(process.env.REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60,
+    now = () => Date.now(),
+  } = {}) {
+    if (!secret) {
+      // A secret nobody configured is a misconfiguration in production, not a default
+      if (process.env.NODE_ENV === "production") throw new Error("JWT_SECRET must be set in production");
+      secret = crypto.randomBytes(32).toString("hex");
+      new Logger().warn("JWT_SECRET is not set, using a random secret: tokens won't survive a restart");
+    }
+
+    this.secret = secret;
+    this.users = users;
+    this.accessTokenTtl = accessTokenTtl;
+    this.refreshTokenTtl = refreshTokenTtl;
+    this.now = now;
+    this.refreshTokens = new Map(); // token hash -> { userId, sessionId, expiresAt, used }
+    this.sessions = new Map(); // sessionId -> { tokens: Set of token hashes, expiresAt of its newest token }
+    this.revokedSessions = new Map(); // sessionId -> when its last token expires
+  }
+
+  async login(username, password) {
+    const user = this.users.find((u) => u.username === username);
+
+    // Hash even for unknown users so response time doesn't reveal which usernames exist
+    const [salt, expected] = (user ? user.passwordHash : dummyPasswordHash).split(":");
+    const actual = await scrypt(String(password || ""), salt, 32);
+    if (!user || !crypto.timingSafeEqual(actual, Buffer.from(expected, "hex"))) {
+      throw new UnauthorizedError("Invalid username or password");
+    }
+
+    return this.issueTokens(user, crypto.randomUUID());
+  }
+
+  refresh(refreshToken) {
+    const record = this.refreshTokens.get(hashToken(String(refreshToken || "")));
+    if (!record || this.revokedSessions.has(record.sessionId)) {
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    if (record.used) {
+      this.revokeSession(record.sessionId);
+      throw new UnauthorizedError("Refresh token reuse detected, session revoked");
+    }
+
+    if (record.expiresAt <= this.now()) {
+      throw new UnauthorizedError("Refresh token expired");
+    }
+
+    const user = this.users.find((u) => u.id === record.userId);
+    if (!user) throw new UnauthorizedError("Invalid refresh token");
+
+    record.used = true;
+    return this.issueTokens(user, record.sessionId);
+  }
+
+  // Logout: ends the session the refresh token belongs to
+  revoke(refreshToken) {
+    const record = this.refreshTokens.get(hashToken(String(refreshToken || "")));
+    if (record) this.revokeSession(record.sessionId);
+  }
+
+  revokeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    // Remembered until every token issued to the session has expired on its own
+    const expiresAt = session ? session.expiresAt : this.now() + Math.max(this.accessTokenTtl, this.refreshTokenTtl) * 1000;
+    this.revokedSessions.set(sessionId, expiresAt);
+
+    if (session) session.tokens.forEach((hash) => this.refreshTokens.delete(hash));
+    this.sessions.delete(sessionId);
+  }
+
+  // Forgets refresh tokens past their expiry (used ones are kept until then to
+  // detect reuse) and revocations that no token of the session can outlive
+  prune() {
+    const now = this.now();
+
+    // Every refresh token gets the same TTL, so insertion order is expiry order
+    for (const [hash, record] of this.refreshTokens) {
+      if (record.expiresAt > now) break;
+      this.refreshTokens.delete(hash);
+
+      const session = this.sessions.get(record.sessionId);
+      if (session) {
+        session.tokens.delete(hash);
+        if (session.tokens.size === 0) this.sessions.delete(record.sessionId);
+      }
+    }
+
+    for (const [sessionId, expiresAt] of this.revokedSessions) {
+      if (expiresAt <= now) this.revokedSessions.delete(sessionId);
+    }
+  }
+
+  // Returns the token claims ({ sub, username, role, sid, ... }) or throws
+  verifyAccessToken(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.secret, { now: this.now() });
+    } catch (err) {
+      throw new UnauthorizedError(err.code === "expired" ? "Token expired" : "Invalid token", {
+        headers: { "WWW-Authenticate": 'Bearer error="invalid_token"' },
+      });
+    }
+
+    if (this.revokedSessions.has(claims.sid)) {
+      throw new UnauthorizedError("Token revoked", {
+        headers: { "WWW-Authenticate": 'Bearer error="invalid_token"' },
+      });
+    }
+    return claims;
+  }
+
+  issueTokens(user, sessionId) {
+    this.prune();
+
+    const accessToken = jwt.sign(
+      { sub: user.id, username: user.username, role: user.role, sid: sessionId },
+      this.secret,
+      { expiresIn: this.accessTokenTtl, now: this.now() }
+    );
+
+    const refreshToken = crypto.randomBytes(32).toString("base64url");
+    const hash = hashToken(refreshToken);
+    const expiresAt = this.now() + this.refreshTokenTtl * 1000;
+    this.refreshTokens.set(hash, { userId: user.id, sessionId, expiresAt, used: false });
+
+    const session = this.sessions.get(sessionId) || { tokens: new Set(), expiresAt: 0 };
+    session.tokens.add(hash);
+    session.expiresAt = Math.max(session.expiresAt, expiresAt, this.now() + this.accessTokenTtl * 1000);
+    this.sessions.set(sessionId, session);
+
+    return {
+      tokenType: "Bearer",
+      accessToken,
+      expiresIn: this.accessTokenTtl,
+      refreshToken,
+    };
+  }
+}
+
+module.exports = { AuthService, hashPassword };
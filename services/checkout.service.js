@@ -0,0 +1,293 @@
+const crypto = require("crypto");
+const { formatCents } = require("../DesignPatterns/1-module-pattern");
+const { BadRequestError, ConflictError, ValidationError } = require("../lib/httpErrors");
+const { validate } = require("../lib/schema");
+
+// Sales tax / VAT by region code; pass `taxRates` to CheckoutService to use your own
+const DEFAULT_TAX_RATES = {
+  "US-CA": 0.0725,
+  "US-NY": 0.08875,
+  "US-TX": 0.0625,
+  "US-OR": 0,
+  GB: 0.2,
+  DE: 0.19,
+  IN: 0.18,
+};
+
+// quote()/placeOrder() options usually come from a request body; region has its own check in taxRateFor()
+const optionsSchema = {
+  customer: { type: "object" },
+  coupons: { type: "array", items: { type: "string", minLength: 1 } },
+};
+
+// Why a rule was skipped, for the coupon explanations on the receipt
+const SKIP_MESSAGES = {
+  NOT_APPLICABLE: () => "Nothing in the cart qualifies for this discount",
+  EXCLUSIVE_APPLIED: ({ by }) => `Can't be combined with ${by}`,
+  NOT_COMBINABLE: () => "Can't be combined with the discounts already applied",
+  FULLY_DISCOUNTED: () => "The order is already fully discounted",
+};
+
+// Lower priority first, ties in the order given
+const sortRules = (rules) =>
+  rules
+    .map((rule, index) => ({ stacking: "stackable", priority: 0, ...rule, index }))
+    .sort((a, b) => a.priority - b.priority || a.index - b.index);
+
+/**
+ * Turns a cart (DesignPatterns/1-module-pattern.js) into a priced receipt
+ * using the discount strategies from SOLID/2-open-closed.js.
+ *
+ *   const checkout = new CheckoutService({
+ *     catalog,
+ *     rules: [
+ *       { strategy: new BuyTwoGetOneDiscount() },
+ *       { strategy: (order) => order.customer.tier && new LoyaltyDiscount(order.customer.tier), priority: 1 },
+ *       { strategy: new FixedAmountDiscount(50), stacking: "exclusive", priority: 2 },
+ *     ],
+ *   });
+ *   const receipt = checkout.placeOrder(cart, { region: "US-CA", customer: { tier: "gold" } });
+ *   console.log(formatReceipt(receipt));
+ *
+ * Discount rules look like { strategy, stacking, priority }:
+ *
+ *   strategy   a DiscountStrategy, or (order) => DiscountStrategy | null for
+ *              rules that depend on the customer (e.g. LoyaltyDiscount)
+ *   stacking   "stackable" (default) combines with other stackable rules;
+ *              "exclusive" only applies when no discount was applied before
+ *              it, and then no other rule applies after it
+ *   priority   lower runs first (default 0), ties keep the order given
+ *
+ * Each strategy sees the order total left after the rules before it, so a
+ * percentage off after a fixed amount off is a percentage of what's left.
+ * Discounts are clamped to that remainder, so the total discount never
+ * exceeds the subtotal. Tax is charged on the discounted total.
+ *
+ * Rules that didn't apply are listed in `receipt.skipped` with a reason:
+ * NOT_APPLICABLE (discount of 0), EXCLUSIVE_APPLIED, NOT_COMBINABLE,
+ * FULLY_DISCOUNTED.
+ *
+ * With a CouponEngine (services/coupon.service.js), quote() and placeOrder()
+ * take the codes the customer entered; usable ones become rules like the
+ * others, and `receipt.coupons` says for each code whether it applied or why
+ * not. placeOrder() records a redemption for every coupon that applied.
+ */
+class CheckoutService {
+  constructor({
+    catalog,
+    rules = [],
+    taxRates = DEFAULT_TAX_RATES,
+    coupons = null,
+    now = () => new Date(),
+    newOrderId = () => crypto.randomUUID(),
+  } = {}) {
+    if (!catalog) throw new Error("CheckoutService needs the catalog the carts were built from");
+
+    this.catalog = catalog;
+    this.rules = sortRules(rules);
+    this.taxRates = taxRates;
+    this.coupons = coupons;
+    this.now = now;
+    this.newOrderId = newOrderId;
+
+    for (const rule of this.rules) {
+      if (!["stackable", "exclusive"].includes(rule.stacking)) {
+        throw new Error(`Unknown stacking "${rule.stacking}", expected "stackable" or "exclusive"`);
+      }
+    }
+  }
+
+  /**
+   * Prices the cart without touching stock or the cart.
+   *
+   * @param {object} cart
+   * @param {object} options
+   * @param {string} options.region     key of the tax rates table, e.g. "US-CA"
+   * @param {object} [options.customer] passed to the strategies, e.g. { id, tier: "gold" }
+   * @param {string[]} [options.coupons] coupon codes entered by the customer
+   * @throws {ValidationError} 422 when customer or coupons have the wrong type
+   */
+  quote(cart, options = {}) {
+    const { errors } = validate(optionsSchema, options);
+    if (errors.length) throw new ValidationError(errors);
+    const { region, customer = {}, coupons: codes = [] } = options;
+
+    if (cart.isEmpty()) throw new BadRequestError("Cart is empty");
+    if (codes.length && !this.coupons) throw new BadRequestError("Coupons are not accepted");
+    const taxRate = this.taxRateFor(region);
+
+    const lines = cart.getItems().map(({ sku, name, quantity, unitPriceCents, lineTotalCents }) => {
+      this.assertAvailable(sku, quantity);
+      return { sku, name, quantity, unitPriceCents, lineTotalCents };
+    });
+    const subtotalCents = lines.reduce((total, line) => total + line.lineTotalCents, 0);
+
+    let rules = this.rules;
+    let rejected = [];
+    if (codes.length) {
+      const coupons = this.coupons.rulesFor(codes, { lines, subtotalCents, customer });
+      rules = sortRules([...this.rules, ...coupons.rules]);
+      rejected = coupons.rejected;
+    }
+
+    const { discounts, skipped } = this.applyDiscounts(rules, lines, subtotalCents, customer);
+    const discountCents = discounts.reduce((total, discount) => total + discount.amountCents, 0);
+    const taxableCents = subtotalCents - discountCents;
+    const taxCents = Math.round(taxableCents * taxRate);
+
+    return {
+      currency: cart.currency,
+      region: region.toUpperCase(),
+      lines,
+      subtotalCents,
+      discounts,
+      skipped,
+      coupons: explainCoupons(codes, discounts, skipped, rejected),
+      discountCents,
+      taxableCents,
+      taxRate,
+      taxCents,
+      totalCents: taxableCents + taxCents,
+      createdAt: this.now().toISOString(),
+    };
+  }
+
+  /**
+   * Quotes the cart, takes the items out of stock and empties the cart.
+   * Stock is checked again here: carts only check it when items are added.
+   */
+  placeOrder(cart, options = {}) {
+    const receipt = this.quote(cart, options);
+
+    for (const line of receipt.lines) {
+      const { stock } = this.catalog.get(line.sku);
+      if (Number.isFinite(stock)) this.catalog.setStock(line.sku, stock - line.quantity);
+    }
+    cart.clearCart();
+
+    const orderId = this.newOrderId();
+    const customerId = options.customer && options.customer.id !== undefined ? options.customer.id : null;
+    for (const coupon of receipt.coupons) {
+      if (coupon.applied) this.coupons.redeem(coupon.code, { customerId, orderId });
+    }
+
+    return { orderId, ...receipt };
+  }
+
+  taxRateFor(region) {
+    const valid = typeof region === "string" && region !== "";
+    const code = valid ? region.toUpperCase() : null;
+    // hasOwn, so "constructor" and friends aren't found on the prototype
+    const rate = valid && Object.hasOwn(this.taxRates, code) ? this.taxRates[code] : undefined;
+    if (rate === undefined) {
+      throw new BadRequestError(valid ? `No tax rate for region ${region}` : "A region code is required to compute tax", {
+        extensions: { regions: Object.keys(this.taxRates) },
+      });
+    }
+    return rate;
+  }
+
+  assertAvailable(sku, quantity) {
+    const product = this.catalog.get(sku);
+    if (!product) {
+      throw new ConflictError(`${sku} is no longer sold`, { extensions: { sku } });
+    }
+    if (quantity > product.stock) {
+      throw new ConflictError(`Only ${product.stock} of ${product.name} in stock`, {
+        extensions: { sku, requested: quantity, available: product.stock },
+      });
+    }
+  }
+
+  applyDiscounts(rules, lines, subtotalCents, customer) {
+    const discounts = [];
+    const skipped = [];
+    let remainingCents = subtotalCents;
+    let exclusiveApplied = null;
+
+    for (const rule of rules) {
+      // Strategies work in dollars, like the rest of SOLID/2-open-closed.js
+      const order = {
+        total: remainingCents / 100,
+        items: lines.map(({ sku, name, unitPriceCents, quantity }) => ({ sku, name, price: unitPriceCents / 100, quantity })),
+        customer,
+      };
+      const strategy = typeof rule.strategy === "function" ? rule.strategy(order) : rule.strategy;
+      if (!strategy) continue;
+      const name = strategy.getName();
+      const skip = (reason, extra) => skipped.push({ name, reason, ...extra, ...(rule.coupon && { coupon: rule.coupon }) });
+
+      if (exclusiveApplied) {
+        skip("EXCLUSIVE_APPLIED", { by: exclusiveApplied });
+        continue;
+      }
+      if (rule.stacking === "exclusive" && discounts.length > 0) {
+        skip("NOT_COMBINABLE");
+        continue;
+      }
+      if (remainingCents === 0) {
+        skip("FULLY_DISCOUNTED");
+        continue;
+      }
+
+      const calculatedCents = Math.max(0, Math.round(strategy.calculate(order) * 100));
+      if (calculatedCents === 0) {
+        skip("NOT_APPLICABLE");
+        continue;
+      }
+
+      const amountCents = Math.min(calculatedCents, remainingCents);
+      const discount = { name, stacking: rule.stacking, amountCents };
+      if (rule.coupon) discount.coupon = rule.coupon;
+      if (amountCents < calculatedCents) discount.cappedFromCents = calculatedCents;
+      discounts.push(discount);
+
+      remainingCents -= amountCents;
+      if (rule.stacking === "exclusive") exclusiveApplied = name;
+    }
+
+    return { discounts, skipped };
+  }
+}
+
+// One entry per code entered: applied with its amount, or the reasons it wasn't
+function explainCoupons(codes, discounts, skipped, rejected) {
+  const seen = new Set();
+  const explained = [];
+
+  for (const code of codes.map((c) => String(c).trim().toUpperCase())) {
+    if (seen.has(code)) continue;
+    seen.add(code);
+
+    const discount = discounts.find((d) => d.coupon === code);
+    const skip = skipped.find((s) => s.coupon === code);
+    const failed = rejected.find((r) => r.code === code);
+    if (discount) explained.push({ code, applied: true, amountCents: discount.amountCents });
+    else if (skip) explained.push({ code, applied: false, reasons: [{ reason: skip.reason, message: SKIP_MESSAGES[skip.reason](skip) }] });
+    else if (failed) explained.push({ code, applied: false, reasons: failed.reasons });
+  }
+
+  return explained;
+}
+
+// Plain-text receipt, one row per line, discount and total
+function formatReceipt(receipt) {
+  const money = (cents) => formatCents(cents, receipt.currency);
+  const row = (label, value) => `${label.padEnd(32)}${value.padStart(12)}`;
+
+  const rows = receipt.lines.map((line) =>
+    row(`${line.quantity} x ${line.name} @ ${money(line.unitPriceCents)}`, money(line.lineTotalCents))
+  );
+  rows.push("-".repeat(44), row("Subtotal", money(receipt.subtotalCents)));
+  for (const discount of receipt.discounts) rows.push(row(discount.name, `-${money(discount.amountCents)}`));
+  rows.push(
+    row(`Tax ${receipt.region} (${+(receipt.taxRate * 100).toFixed(3)}%)`, money(receipt.taxCents)),
+    "-".repeat(44),
+    row("Total", money(receipt.totalCents))
+  );
+
+  if (receipt.orderId) rows.unshift(`Order ${receipt.orderId}`, "");
+  return rows.join("\n");
+}
+
+module.exports = { CheckoutService, formatReceipt, DEFAULT_TAX_RATES };
@@ -0,0 +1,216 @@
+const {
+  DiscountStrategy,
+  PercentageDiscount,
+  FixedAmountDiscount,
+  BuyTwoGetOneDiscount,
+} = require("../SOLID/2-open-closed");
+const { formatCents } = require("../DesignPatterns/1-module-pattern");
+
+// How a coupon's discount is computed, by `discount.type`
+const DISCOUNT_TYPES = {
+  percentage: ({ percent }) => {
+    if (!(percent > 0 && percent <= 100)) throw new Error("percent must be in (0, 100]");
+    return new PercentageDiscount(percent);
+  },
+  fixed: ({ amountCents }) => {
+    if (!Number.isInteger(amountCents) || amountCents <= 0) throw new Error("amountCents must be a positive integer");
+    return new FixedAmountDiscount(amountCents / 100);
+  },
+  buy_two_get_one: () => new BuyTwoGetOneDiscount(),
+};
+
+const times = (n) => `${n} time${n === 1 ? "" : "s"}`;
+
+// Why check() rejected a coupon, as shown to the customer
+const REASONS = {
+  UNKNOWN_CODE: () => "No coupon with this code",
+  NOT_STARTED: ({ startsAt }) => `Valid from ${new Date(startsAt).toISOString()}`,
+  EXPIRED: ({ endsAt }) => `Expired on ${new Date(endsAt).toISOString()}`,
+  USAGE_LIMIT_REACHED: ({ maxRedemptions }) => `Fully redeemed (limited to ${times(maxRedemptions)})`,
+  CUSTOMER_REQUIRED: () => "Sign in to use this coupon",
+  CUSTOMER_LIMIT_REACHED: ({ maxRedemptionsPerCustomer }) => `You already used this coupon ${times(maxRedemptionsPerCustomer)}`,
+  MIN_SPEND_NOT_MET: ({ minSpendCents }, { subtotalCents }) =>
+    `Spend at least ${formatCents(minSpendCents)} (cart subtotal is ${formatCents(subtotalCents)})`,
+  NO_ELIGIBLE_ITEMS: ({ eligibleSkus }) => `Only applies to ${[...eligibleSkus].join(", ")}`,
+};
+
+const toTime = (value, field, code) => {
+  if (value === undefined || value === null) return null;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw new Error(`Coupon ${code}: ${field} is not a date`);
+  return time;
+};
+
+const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+/**
+ * Wraps the strategy of a coupon so it only sees the coupon's eligible
+ * lines: with `eligibleSkus` set, "10% off" means 10% off those SKUs.
+ */
+class CouponDiscount extends DiscountStrategy {
+  constructor(coupon) {
+    super();
+    this.coupon = coupon;
+    this.strategy = DISCOUNT_TYPES[coupon.discount.type](coupon.discount);
+  }
+
+  calculate(order) {
+    const { eligibleSkus } = this.coupon;
+    if (!eligibleSkus) return this.strategy.calculate(order);
+
+    const items = order.items.filter((item) => eligibleSkus.has(item.sku));
+    const eligibleTotal = items.reduce((total, item) => total + item.price * item.quantity, 0);
+    return this.strategy.calculate({ ...order, items, total: Math.min(order.total, eligibleTotal) });
+  }
+
+  getName() {
+    return `${this.coupon.code} (${this.strategy.getName()})`;
+  }
+}
+
+/**
+ * Coupons defined as data and checked against a cart before checkout:
+ *
+ *   {
+ *     code: "SPRING10",
+ *     discount: { type: "percentage", percent: 10 },  // or { type: "fixed", amountCents }, { type: "buy_two_get_one" }
+ *     startsAt, endsAt,                                // optional, Date or ISO string; endsAt is exclusive
+ *     maxRedemptions, maxRedemptionsPerCustomer,       // optional
+ *     minSpendCents,                                   // optional, compared with the subtotal before discounts
+ *     eligibleSkus: ["MOUSE"],                         // optional, limits the discount to these lines
+ *     stacking: "stackable" | "exclusive",             // see CheckoutService
+ *     priority,                                        // see CheckoutService (default 10: after the store's rules)
+ *   }
+ *
+ * check() explains why a coupon can't be used (all reasons, not just the
+ * first); rulesFor() turns the usable ones into CheckoutService rules.
+ * Redemptions are recorded in memory by redeem(), which CheckoutService
+ * calls from placeOrder() for every coupon that gave a discount.
+ */
+class CouponEngine {
+  constructor({ coupons = [], now = () => new Date() } = {}) {
+    this.now = now;
+    this.coupons = new Map(); // code -> coupon
+    this.redemptions = []; // { code, customerId, orderId, redeemedAt }
+    coupons.forEach((coupon) => this.addCoupon(coupon));
+  }
+
+  addCoupon(definition) {
+    const code = normalizeCode(definition.code);
+    if (!code) throw new Error("Coupon needs a code");
+    if (this.coupons.has(code)) throw new Error(`Coupon ${code} already exists`);
+
+    const { discount = {}, stacking = "stackable", priority = 10 } = definition;
+    if (!DISCOUNT_TYPES[discount.type]) {
+      throw new Error(`Coupon ${code}: unknown discount type "${discount.type}", expected ${Object.keys(DISCOUNT_TYPES).join(", ")}`);
+    }
+    if (!["stackable", "exclusive"].includes(stacking)) {
+      throw new Error(`Coupon ${code}: unknown stacking "${stacking}", expected "stackable" or "exclusive"`);
+    }
+    for (const field of ["maxRedemptions", "maxRedemptionsPerCustomer", "minSpendCents"]) {
+      const value = definition[field];
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`Coupon ${code}: ${field} must be a non-negative integer`);
+      }
+    }
+
+    try {
+      DISCOUNT_TYPES[discount.type](discount);
+    } catch (err) {
+      throw new Error(`Coupon ${code}: ${err.message}`);
+    }
+
+    const coupon = {
+      code,
+      discount: { ...discount },
+      startsAt: toTime(definition.startsAt, "startsAt", code),
+      endsAt: toTime(definition.endsAt, "endsAt", code),
+      maxRedemptions: definition.maxRedemptions,
+      maxRedemptionsPerCustomer: definition.maxRedemptionsPerCustomer,
+      minSpendCents: definition.minSpendCents || 0,
+      eligibleSkus: definition.eligibleSkus ? new Set(definition.eligibleSkus) : null,
+      stacking,
+      priority,
+    };
+
+    this.coupons.set(code, coupon);
+    return coupon;
+  }
+
+  getCoupon(code) {
+    return this.coupons.get(normalizeCode(code));
+  }
+
+  /**
+   * @param {string} code
+   * @param {object} order
+   * @param {Array}  order.lines          [{ sku, quantity, lineTotalCents }]
+   * @param {number} order.subtotalCents
+   * @param {object} [order.customer]     { id } for per-customer limits
+   * @returns {{ code, ok: boolean, reasons: Array<{ reason, message }> }}
+   */
+  check(code, { lines = [], subtotalCents = 0, customer = {} } = {}) {
+    code = normalizeCode(code);
+    const coupon = this.coupons.get(code);
+    const failed = [];
+
+    if (!coupon) {
+      failed.push("UNKNOWN_CODE");
+    } else {
+      const now = this.now().getTime();
+      if (coupon.startsAt !== null && now < coupon.startsAt) failed.push("NOT_STARTED");
+      if (coupon.endsAt !== null && now >= coupon.endsAt) failed.push("EXPIRED");
+
+      if (coupon.maxRedemptions !== undefined && this.redemptionCount(code) >= coupon.maxRedemptions) {
+        failed.push("USAGE_LIMIT_REACHED");
+      }
+      if (coupon.maxRedemptionsPerCustomer !== undefined) {
+        if (customer.id === undefined || customer.id === null) failed.push("CUSTOMER_REQUIRED");
+        else if (this.redemptionCount(code, customer.id) >= coupon.maxRedemptionsPerCustomer) failed.push("CUSTOMER_LIMIT_REACHED");
+      }
+
+      if (subtotalCents < coupon.minSpendCents) failed.push("MIN_SPEND_NOT_MET");
+      if (coupon.eligibleSkus && !lines.some((line) => coupon.eligibleSkus.has(line.sku))) failed.push("NO_ELIGIBLE_ITEMS");
+    }
+
+    return {
+      code,
+      ok: failed.length === 0,
+      reasons: failed.map((reason) => ({ reason, message: REASONS[reason](coupon || {}, { subtotalCents }) })),
+    };
+  }
+
+  // CheckoutService rules for the usable codes, and the check() result of the others
+  rulesFor(codes, order) {
+    const rules = [];
+    const rejected = [];
+
+    for (const code of new Set(codes.map(normalizeCode))) {
+      const result = this.check(code, order);
+      if (!result.ok) {
+        rejected.push(result);
+        continue;
+      }
+      const coupon = this.coupons.get(code);
+      rules.push({ strategy: new CouponDiscount(coupon), stacking: coupon.stacking, priority: coupon.priority, coupon: code });
+    }
+
+    return { rules, rejected };
+  }
+
+  redeem(code, { customerId = null, orderId = null } = {}) {
+    const redemption = { code: normalizeCode(code), customerId, orderId, redeemedAt: this.now().toISOString() };
+    this.redemptions.push(redemption);
+    return redemption;
+  }
+
+  // All redemptions of `code`, or only those of one customer
+  redemptionCount(code, customerId) {
+    code = normalizeCode(code);
+    return this.redemptions.filter(
+      (redemption) => redemption.code === code && (customerId === undefined || redemption.customerId === customerId)
+    ).length;
+  }
+}
+
+module.exports = { CouponEngine, CouponDiscount, DISCOUNT_TYPES };
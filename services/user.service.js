@@ -0,0 +1,48 @@
+const { NotFoundError } = require("../lib/httpErrors");
+
+/**
+ * Users business logic on top of any repository implementing the Database
+ * contract (see repositories/). Missing users surface as NotFoundError so
+ * controllers can simply let errors propagate to the error handler.
+ */
+class UserService {
+  constructor(users) {
+    this.users = users;
+  }
+
+  listUsers() {
+    return this.users.findAll();
+  }
+
+  getUser(id) {
+    const user = this.users.find(id);
+    if (!user) throw new NotFoundError("User not found");
+    return user;
+  }
+
+  createUser(data) {
+    const { id } = this.users.save(data);
+    return this.users.find(id);
+  }
+
+  // Replaces the stored user with `data` (PUT)
+  replaceUser(id, data) {
+    const result = this.users.replace(id, data);
+    if (!result.success) throw new NotFoundError("User not found");
+    return this.users.find(id);
+  }
+
+  // Merges the given fields into the stored user (PATCH)
+  updateUser(id, data) {
+    const result = this.users.update(id, data);
+    if (!result.success) throw new NotFoundError("User not found");
+    return this.users.find(id);
+  }
+
+  deleteUser(id) {
+    const result = this.users.delete(id);
+    if (!result.success) throw new NotFoundError("User not found");
+  }
+}
+
+module.exports = { UserService };
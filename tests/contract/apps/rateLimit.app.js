@@ -0,0 +1,21 @@
+const express = require("express");
+const { rateLimit } = require("../../../middleware/rateLimit.middleware");
+const { authenticateApiKey } = require("../../../middleware/auth.middleware");
+const { notFoundHandler, errorHandler } = require("../../../middleware/error.middleware");
+
+/**
+ * Minimal app for rateLimit.contract.json: one limiter shared by a public
+ * route (counted per IP, like /auth/login in express.js) and a route for
+ * API key clients (counted per verified key). The window is small and
+ * sliding, so the counts in the fixture are exact.
+ */
+const app = express();
+const limiter = rateLimit({ algorithm: "sliding-window", limit: 2, windowMs: 60 * 1000 });
+
+app.get("/public", limiter, (req, res) => res.json({ ok: true }));
+app.get("/reports", authenticateApiKey({ reporting: "reporting-key" }), limiter, (req, res) => res.json({ client: req.apiKey }));
+
+app.use(notFoundHandler);
+app.use(errorHandler());
+
+module.exports = { app };
@@ -0,0 +1,244 @@
+/**
+ * Contract tests: replays the request/response pairs documented in
+ * MD/API-Testing-Guide.md and MD/Simple-API-Testing.md against the real
+ * apps and reports every difference.
+ *
+ *   node tests/contract/run.js                 all *.contract.json files here
+ *   node tests/contract/run.js users.contract.json --verbose
+ *
+ * Each fixture names the module exporting the Express `app` (resolved from
+ * the fixture's directory). The app is booted in-process on an ephemeral
+ * port, so nothing needs to be running. Behaviour that no documented app
+ * shows on its own (e.g. exact rate limit counts) is tested against small
+ * apps in apps/. Steps run in order and share state:
+ *
+ *   {
+ *     "name": "Create product",
+ *     "source": "MD/API-Testing-Guide.md#3-create-product-post-products",
+ *     "request": { "method": "POST", "path": "/products", "headers": {...}, "body": {...} },
+ *     "expect": { "status": 201, "headers": { "location": "/products/3" }, "body": {...} },
+ *     "capture": { "token": "body.accessToken" }
+ *   }
+ *
+ * "{{name}}" in a request or expectation is replaced by a captured value.
+ * Expected bodies must match exactly (objects may not have extra fields,
+ * arrays must have the same length); headers only need to contain the
+ * expected ones, null meaning "must be absent". Values may be matchers:
+ * "$any", "$string", "$number", "$integer" or "$regex:<pattern>".
+ *
+ * Exits with 1 when any step differs. App logs are hidden unless --verbose.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const matchers = {
+  $any: (value) => value !== undefined,
+  $string: (value) => typeof value === "string",
+  $number: (value) => typeof value === "number",
+  $integer: (value) => Number.isInteger(value),
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const show = (value) => (value === undefined ? "nothing" : JSON.stringify(value));
+
+// "{{token}}" -> captured value, recursively through objects and arrays
+function interpolate(value, vars) {
+  if (typeof value === "string") {
+    const whole = value.match(/^\{\{(\w+)\}\}$/);
+    if (whole && whole[1] in vars) return vars[whole[1]];
+    return value.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+  }
+  if (Array.isArray(value)) return value.map((item) => interpolate(item, vars));
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, vars)]));
+  }
+  return value;
+}
+
+// Collects "path: expected X, got Y" lines for every mismatch
+function compare(expected, actual, where, diffs) {
+  if (typeof expected === "string" && expected.startsWith("$")) {
+    if (expected.startsWith("$regex:")) {
+      if (typeof actual !== "string" || !new RegExp(expected.slice(7)).test(actual)) {
+        diffs.push(`${where}: expected to match /${expected.slice(7)}/, got ${show(actual)}`);
+      }
+      return;
+    }
+    if (matchers[expected]) {
+      if (!matchers[expected](actual)) diffs.push(`${where}: expected ${expected.slice(1)}, got ${show(actual)}`);
+      return;
+    }
+  }
+
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual)) {
+      diffs.push(`${where}: expected an array, got ${show(actual)}`);
+      return;
+    }
+    if (expected.length !== actual.length) {
+      diffs.push(`${where}: expected ${expected.length} items, got ${actual.length}`);
+    }
+    expected.forEach((item, index) => {
+      if (index < actual.length) compare(item, actual[index], `${where}[${index}]`, diffs);
+    });
+    return;
+  }
+
+  if (isObject(expected)) {
+    if (!isObject(actual)) {
+      diffs.push(`${where}: expected an object, got ${show(actual)}`);
+      return;
+    }
+    for (const [key, value] of Object.entries(expected)) {
+      if (!(key in actual)) diffs.push(`${where}.${key}: missing, expected ${show(value)}`);
+      else compare(value, actual[key], `${where}.${key}`, diffs);
+    }
+    for (const key of Object.keys(actual)) {
+      if (!(key in expected)) diffs.push(`${where}.${key}: unexpected field ${show(actual[key])}`);
+    }
+    return;
+  }
+
+  if (expected !== actual) diffs.push(`${where}: expected ${show(expected)}, got ${show(actual)}`);
+}
+
+// "body.accessToken", "headers.etag", "status"
+const pick = (response, selector) =>
+  selector.split(".").reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), response);
+
+async function send(baseUrl, request) {
+  const headers = { ...request.headers };
+  let body;
+  if (request.body !== undefined) {
+    body = typeof request.body === "string" ? request.body : JSON.stringify(request.body);
+    if (!Object.keys(headers).some((name) => name.toLowerCase() === "content-type")) {
+      headers["Content-Type"] = "application/json";
+    }
+  }
+
+  const res = await fetch(`${baseUrl}${request.path}`, { method: request.method || "GET", headers, body });
+  const text = await res.text();
+  let parsed = text;
+  if (/json/.test(res.headers.get("content-type") || "") && text) {
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // Reported as a body mismatch against the raw text
+    }
+  }
+
+  return { status: res.status, headers: Object.fromEntries(res.headers), body: parsed };
+}
+
+async function runStep(baseUrl, step, vars) {
+  const request = interpolate(step.request, vars);
+  const expect = interpolate(step.expect || {}, vars);
+  const response = await send(baseUrl, request);
+  const diffs = [];
+
+  if (expect.status !== undefined && expect.status !== response.status) {
+    diffs.push(`status: expected ${expect.status}, got ${response.status}`);
+  }
+
+  for (const [name, value] of Object.entries(expect.headers || {})) {
+    const actual = response.headers[name.toLowerCase()];
+    if (value === null) {
+      if (actual !== undefined) diffs.push(`headers.${name}: expected to be absent, got ${show(actual)}`);
+    } else {
+      compare(value, actual, `headers.${name}`, diffs);
+    }
+  }
+
+  if ("body" in expect) compare(expect.body, response.body, "body", diffs);
+
+  for (const [name, selector] of Object.entries(step.capture || {})) {
+    vars[name] = pick(response, selector);
+  }
+
+  return { request, response, diffs };
+}
+
+async function runFixture(file, report) {
+  const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+  const { app } = require(path.resolve(path.dirname(file), fixture.app));
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  report(`\n${fixture.name || path.basename(file)} (${fixture.app})`);
+
+  const vars = {};
+  let failed = 0;
+  try {
+    for (const [index, step] of fixture.steps.entries()) {
+      const label = `${index + 1}. ${step.name}`;
+      let result;
+      try {
+        result = await runStep(baseUrl, step, vars);
+      } catch (err) {
+        result = { request: step.request, diffs: [`request failed: ${err.message}`] };
+      }
+
+      const { method = "GET", path: requestPath } = result.request;
+      if (!result.diffs.length) {
+        report(`  ok   ${label}  ${method} ${requestPath}`);
+        continue;
+      }
+
+      failed++;
+      report(`  FAIL ${label}  ${method} ${requestPath}`);
+      if (step.source) report(`       documented in ${step.source}`);
+      result.diffs.forEach((diff) => report(`       ${diff}`));
+    }
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+
+  return { total: fixture.steps.length, failed };
+}
+
+async function main(args) {
+  const verbose = args.includes("--verbose");
+  const files = args.filter((arg) => !arg.startsWith("--"));
+  const fixtures = files.length
+    ? files.map((file) => path.resolve(file))
+    : fs
+        .readdirSync(__dirname)
+        .filter((file) => file.endsWith(".contract.json"))
+        .sort()
+        .map((file) => path.join(__dirname, file));
+
+  // Deterministic tokens and quiet apps; the report goes straight to stdout
+  process.env.JWT_SECRET = process.env.JWT_SECRET || "contract-tests";
+  const report = (line) => process.stdout.write(`${line}\n`);
+  const consoleLog = console.log;
+  if (!verbose) console.log = () => {};
+
+  let total = 0;
+  let failed = 0;
+  try {
+    for (const file of fixtures) {
+      const result = await runFixture(file, report);
+      total += result.total;
+      failed += result.failed;
+    }
+  } finally {
+    console.log = consoleLog;
+  }
+
+  report(`\n${total - failed}/${total} steps passed${failed ? `, ${failed} failed` : ""}`);
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err);
+    process.exitCode = 1;
+  }
+);
@@ -37,8 +37,14 @@
 // runDemo();
 
 const express = require("express");
+const asyncHandler = require("./lib/asyncHandler");
+const { notFoundHandler, errorHandler } = require("./middleware/error.middleware");
+const { createLifecycle } = require("./lib/lifecycle");
 const app = express();
-const port = 8080;
+const port = process.env.PORT || 8080;
+const lifecycle = createLifecycle({ name: "error-demo" });
+
+app.use(lifecycle.router());
 
 // Route that may throw an error
 app.get("/error", (req, res) => {
@@ -46,27 +52,28 @@ app.get("/error", (req, res) => {
   throw new Error("Something went wrong!");
 });
 
-// Route that uses next(error) for asynchronous code
-app.get("/async-error", (req, res, next) => {
-  // Simulating an asynchronous operation that fails
-  setTimeout(() => {
-    try {
-      // Something that might fail
-      const result = nonExistentFunction(); // This will throw an error
-      res.send(result);
-    } catch (error) {
-      next(error); // Pass errors to Express
-    }
-  }, 100);
-});
+// Async route: asyncHandler forwards the rejection to the error middleware,
+// no try/catch + next(error) needed
+app.get(
+  "/async-error",
+  asyncHandler(async (req, res) => {
+    // Simulating an asynchronous operation that fails
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const result = nonExistentFunction(); // This will throw an error
+    res.send(result);
+  })
+);
 
-// Custom error handling middleware
-// Must have four parameters to be recognized as an error handler
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).send("Something broke!");
-});
+// Unmatched routes become 404s, every error becomes an
+// application/problem+json response (stack trace only outside production)
+app.use(notFoundHandler);
+app.use(errorHandler());
 
-app.listen(port, () => {
-  console.log(`Example app listening at http://localhost:${port}`);
-});
+// Listens with graceful shutdown on SIGTERM/SIGINT
+const start = (listenPort = port) => lifecycle.listen(app, listenPort);
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start, lifecycle };